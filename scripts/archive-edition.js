@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Edition Archiver
+ *
+ * Copies data/latest.json into data/editions/<date>.json and rebuilds
+ * data/index.json, the manifest the Archive view lists past editions from.
+ * Translations (data/latest.<locale>.json) are archived alongside as
+ * editions/<date>.<locale>.json and listed in each entry's `locales`.
+ *
+ * Usage: node scripts/archive-edition.js [dataDir]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = path.resolve(process.argv[2] || path.join(__dirname, '..', 'www', 'data'));
+const EDITIONS_DIR = path.join(DATA_DIR, 'editions');
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function writeJson(file, obj) {
+  fs.writeFileSync(file, JSON.stringify(obj, null, 2));
+}
+
+// Copy latest.json into the archive under its edition date
+function archiveLatest() {
+  const latestPath = path.join(DATA_DIR, 'latest.json');
+  if (!fs.existsSync(latestPath)) return null;
+
+  const latest = readJson(latestPath);
+  if (!latest.date) {
+    throw new Error('latest.json has no "date" — cannot archive it');
+  }
+
+  fs.mkdirSync(EDITIONS_DIR, { recursive: true });
+  writeJson(path.join(EDITIONS_DIR, latest.date + '.json'), latest);
+
+  // A translation is filed under the English edition's date so they pair up
+  fs.readdirSync(DATA_DIR)
+    .map((f) => /^latest\.([a-z]{2,3})\.json$/.exec(f))
+    .filter(Boolean)
+    .forEach(([file, locale]) => {
+      writeJson(path.join(EDITIONS_DIR, latest.date + '.' + locale + '.json'), readJson(path.join(DATA_DIR, file)));
+    });
+  return latest.date;
+}
+
+// Locales with a translation of the edition archived as <date>.json
+function translations(files, file) {
+  const base = file.replace('.json', '');
+  return files
+    .map((f) => new RegExp('^' + base + '\\.([a-z]{2,3})\\.json$').exec(f))
+    .filter(Boolean)
+    .map((match) => match[1])
+    .sort();
+}
+
+// Rebuild index.json from every archived edition, newest first
+function buildIndex() {
+  const all = fs.existsSync(EDITIONS_DIR) ? fs.readdirSync(EDITIONS_DIR) : [];
+  const files = all.filter((f) => /^\d{4}-\d{2}-\d{2}\.json$/.test(f));
+
+  const editions = files.map((file) => {
+    const edition = readJson(path.join(EDITIONS_DIR, file));
+    const cards = edition.cards || [];
+    return {
+      date: edition.date || file.replace('.json', ''),
+      generated_at: edition.generated_at || null,
+      card_count: cards.length,
+      lead: cards.length > 0 ? cards[0].title : null,
+      path: 'editions/' + file,
+      locales: translations(all, file)
+    };
+  });
+
+  editions.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+
+  const index = {
+    latest: editions.length > 0 ? editions[0].date : null,
+    editions: editions
+  };
+  writeJson(path.join(DATA_DIR, 'index.json'), index);
+  return index;
+}
+
+const archived = archiveLatest();
+const index = buildIndex();
+console.log((archived ? 'Archived ' + archived + '. ' : '') + 'Index lists ' + index.editions.length + ' edition(s).');
@@ -0,0 +1,141 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Card Link Pages
+ *
+ * Writes www/cards/<date>/<card-id>.html for every card in the archive.
+ * Link previews (Messages, WhatsApp, social sites) don't run the app, so
+ * each page carries the card's Open Graph tags and sends people on to the
+ * card in the app (#/<date>/<card-id>, see www/deep-link.js).
+ *
+ * The pages are rebuilt from data/index.json on every deploy and aren't
+ * committed. Open Graph needs absolute URLs; pass the site's address in
+ * SITE_URL (the deploy workflow does). Cards without an image_url get their
+ * generated art as the preview image if scripts/render-art.js has drawn it.
+ *
+ * Usage: SITE_URL=https://example.com/app/ node scripts/build-card-pages.js [dataDir]
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const DeepLink = require('../www/deep-link.js');
+const RenderArt = require('./render-art.js');
+
+const WWW = path.join(__dirname, '..', 'www');
+const DATA_DIR = path.resolve(process.argv[2] || path.join(WWW, 'data'));
+const OUTPUT = path.join(WWW, DeepLink.PAGES_DIR);
+const SITE_URL = (process.env.SITE_URL || '').replace(/\/?$/, '/');
+
+const APP_NAME = 'AI for Grandmas';
+const DEFAULT_IMAGE = 'icons/icon-512.png';
+const DESCRIPTION_LENGTH = 200;
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function escapeHtml(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// First paragraph, cut at a word near DESCRIPTION_LENGTH
+function description(body) {
+  const text = String(body || '').split(/\n+/)[0].trim();
+  if (text.length <= DESCRIPTION_LENGTH) return text;
+  const cut = text.slice(0, DESCRIPTION_LENGTH);
+  return cut.slice(0, Math.max(cut.lastIndexOf(' '), DESCRIPTION_LENGTH / 2)).replace(/[\s.,;:]+$/, '') + '…';
+}
+
+// Relative to the site root, or absolute once SITE_URL is known
+function siteUrl(relative) {
+  return SITE_URL === '/' ? relative : new URL(relative, SITE_URL).href;
+}
+
+// The card's own image, else its rendered art, else the app icon
+function previewImage(card, edition) {
+  if (card.image_url) return card.image_url;
+  const art = RenderArt.artPath(edition, card.id, RenderArt.PREVIEW_SIZE, 'png');
+  return art && fs.existsSync(path.join(WWW, art)) ? siteUrl(art) : null;
+}
+
+/**
+ * The link page for one card.
+ * @param {Object} card
+ * @param {Object} edition - The edition the card is in
+ * @returns {string} HTML
+ */
+function renderPage(card, edition) {
+  const appUrl = '../../' + DeepLink.hash(edition.date, card.id);
+  const title = [card.emoji, card.title].filter(Boolean).join(' ');
+  const preview = previewImage(card, edition);
+  const image = preview || siteUrl(DEFAULT_IMAGE);
+  const meta = [
+    ['og:type', 'article'],
+    ['og:site_name', APP_NAME],
+    ['og:title', title],
+    ['og:description', description(card.body)],
+    ['og:image', image],
+    ['og:url', siteUrl(DeepLink.pagePath(edition.date, card.id))],
+    ['article:published_time', edition.date]
+  ];
+
+  return '<!DOCTYPE html>\n' +
+    '<html lang="' + escapeHtml(edition.locale || 'en') + '">\n' +
+    '<head>\n' +
+    '  <meta charset="UTF-8">\n' +
+    '  <meta name="viewport" content="width=device-width, initial-scale=1.0">\n' +
+    '  <title>' + escapeHtml(title + ' — ' + APP_NAME) + '</title>\n' +
+    '  <meta name="description" content="' + escapeHtml(description(card.body)) + '">\n' +
+    meta.map(([property, content]) => '  <meta property="' + property + '" content="' + escapeHtml(content) + '">\n').join('') +
+    '  <meta name="twitter:card" content="' + (preview ? 'summary_large_image' : 'summary') + '">\n' +
+    '  <meta http-equiv="refresh" content="0; url=' + escapeHtml(appUrl) + '">\n' +
+    '  <script>location.replace(' + JSON.stringify(appUrl).replace(/</g, '\\u003c') + ');</script>\n' +
+    '</head>\n' +
+    '<body>\n' +
+    '  <h1>' + escapeHtml(title) + '</h1>\n' +
+    '  <p>' + escapeHtml(description(card.body)) + '</p>\n' +
+    '  <p><a href="' + escapeHtml(appUrl) + '">Read it in ' + APP_NAME + '</a></p>\n' +
+    '</body>\n' +
+    '</html>\n';
+}
+
+function build() {
+  const indexPath = path.join(DATA_DIR, 'index.json');
+  if (!fs.existsSync(indexPath)) {
+    console.log('No data/index.json — run npm run archive first. Nothing to do.');
+    return;
+  }
+
+  // Rebuilt from scratch so pages of dropped editions don't linger
+  fs.rmSync(OUTPUT, { recursive: true, force: true });
+
+  let pages = 0;
+  let skipped = 0;
+  readJson(indexPath).editions.forEach((entry) => {
+    const edition = readJson(path.join(DATA_DIR, entry.path));
+    if (!edition.date) edition.date = entry.date;
+
+    (edition.cards || []).forEach((card) => {
+      const pagePath = DeepLink.pagePath(edition.date, card.id);
+      if (!pagePath) {
+        skipped++;
+        return;
+      }
+      const file = path.join(WWW, pagePath);
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, renderPage(card, edition));
+      pages++;
+    });
+  });
+
+  if (SITE_URL === '/') console.warn('SITE_URL is not set — link previews need absolute URLs.');
+  console.log('Wrote ' + pages + ' card pages to www/' + DeepLink.PAGES_DIR + '/' +
+    (skipped ? ' (' + skipped + ' cards without a usable id skipped)' : '') + '.');
+}
+
+build();
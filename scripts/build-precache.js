@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Precache Manifest Builder
+ *
+ * Writes www/precache-manifest.js, the list of app shell files the service
+ * worker caches on install, each with a content hash. The service worker
+ * names its cache after the combined hash and fetches every file with
+ * subresource integrity, so a shell is only installed when every file
+ * matches this manifest: no mixed old/new shells. Any change to the shell
+ * changes the manifest, which makes browsers install the new worker.
+ *
+ * Usage: node scripts/build-precache.js [--check]
+ *   --check  exit non-zero if the committed manifest is out of date
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const WWW = path.join(__dirname, '..', 'www');
+const OUTPUT = path.join(WWW, 'precache-manifest.js');
+
+// Everything at the top of www/ plus icons and vendored libraries; data/ is
+// cached separately, and the worker and this manifest are updated by the
+// browser itself
+const SHELL_EXTENSIONS = ['.html', '.css', '.js', '.json', '.png', '.svg', '.woff2'];
+const SHELL_DIRS = ['', 'icons', 'vendor/swiper', 'vendor/inter', 'vendor/lora'];
+const EXCLUDE = ['sw.js', 'precache-manifest.js'];
+
+function shellFiles() {
+  return SHELL_DIRS.flatMap((dir) => fs.readdirSync(path.join(WWW, dir), { withFileTypes: true })
+    .filter((entry) => entry.isFile() && SHELL_EXTENSIONS.includes(path.extname(entry.name)))
+    .map((entry) => path.posix.join(dir, entry.name))
+    .filter((file) => !EXCLUDE.includes(file)))
+    .sort();
+}
+
+function build() {
+  const entries = shellFiles().map((file) => {
+    const content = fs.readFileSync(path.join(WWW, file));
+    return {
+      url: './' + file,
+      integrity: 'sha256-' + crypto.createHash('sha256').update(content).digest('base64')
+    };
+  });
+
+  // The start URL serves index.html
+  const index = entries.find((entry) => entry.url === './index.html');
+  if (index) entries.unshift({ url: './', integrity: index.integrity });
+
+  const version = crypto.createHash('sha256')
+    .update(entries.map((entry) => entry.url + ' ' + entry.integrity).join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+
+  return '// Generated by scripts/build-precache.js — do not edit.\n' +
+    'self.PRECACHE_MANIFEST = ' + JSON.stringify({ version, files: entries }, null, 2) + ';\n';
+}
+
+const output = build();
+if (process.argv.includes('--check')) {
+  const current = fs.existsSync(OUTPUT) ? fs.readFileSync(OUTPUT, 'utf8') : '';
+  if (current !== output) {
+    console.error('www/precache-manifest.js is out of date — run npm run build:precache');
+    process.exit(1);
+  }
+  console.log('Precache manifest is up to date.');
+} else {
+  fs.writeFileSync(OUTPUT, output);
+  console.log('Wrote www/precache-manifest.js (' + (output.match(/"url"/g) || []).length + ' files).');
+}
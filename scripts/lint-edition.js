@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Edition Linter
+ *
+ * Checks edition files before deploy: unknown card types, missing titles,
+ * bad URLs, duplicate ids, card_count mismatches and body lengths the share
+ * image can't fit. Exits non-zero if any file has errors.
+ *
+ * Usage: node scripts/lint-edition.js [--strict] [file ...]
+ *   --strict  treat warnings as errors
+ *   file      defaults to www/data/latest.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const EditionCheck = require('../www/edition-check.js');
+
+const args = process.argv.slice(2);
+const strict = args.includes('--strict');
+const files = args.filter((arg) => arg !== '--strict');
+if (files.length === 0) {
+  files.push(path.join(__dirname, '..', 'www', 'data', 'latest.json'));
+}
+
+let failed = false;
+
+files.forEach((file) => {
+  const relative = path.relative(process.cwd(), file);
+  const name = relative && !relative.startsWith('..') ? relative : file;
+  let edition;
+
+  try {
+    edition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    console.error(name + ': cannot read JSON — ' + e.message);
+    failed = true;
+    return;
+  }
+
+  const result = EditionCheck.checkEdition(edition);
+  result.errors.forEach((msg) => console.error(name + ': error: ' + msg));
+  result.warnings.forEach((msg) => console.warn(name + ': warning: ' + msg));
+
+  if (!result.valid || (strict && result.warnings.length > 0)) {
+    failed = true;
+  } else {
+    console.log(name + ': ok (' + edition.cards.length + ' cards)');
+  }
+});
+
+process.exit(failed ? 1 : 0);
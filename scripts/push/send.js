@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Reference Web Push Sender
+ *
+ * Sends the day's lead card to every stored subscription, once per edition:
+ * the last edition sent is remembered in push-sent.json, so re-running for an
+ * unchanged latest.json is a no-op (pass --force to send anyway).
+ * Subscriptions the push service reports as gone (404/410) are removed.
+ *
+ * Usage:
+ *   node scripts/push/send.js --generate-keys
+ *   VAPID_PUBLIC_KEY=... VAPID_PRIVATE_KEY=... [VAPID_SUBJECT=mailto:you@example.com] \
+ *     node scripts/push/send.js [--force] [--subscriptions push-subscriptions.json] [--edition www/data/latest.json]
+ *
+ * Try it locally against the stand-in push service (scripts/push/standin.js).
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const webpush = require('web-push');
+const EditionNotify = require('../../www/edition-notify.js');
+
+const DEFAULT_SUBSCRIPTIONS = path.resolve('push-subscriptions.json');
+const SENT_FILE = path.resolve('push-sent.json');
+const DEFAULT_EDITION = path.join(__dirname, '..', '..', 'www', 'data', 'latest.json');
+
+function argValue(args, name, fallback) {
+  const i = args.indexOf(name);
+  return i >= 0 && args[i + 1] ? path.resolve(args[i + 1]) : fallback;
+}
+
+// generateRequestDetails + fetch rather than sendNotification, so plain-http
+// endpoints like the local stand-in work too
+async function pushTo(subscription, payload) {
+  const details = webpush.generateRequestDetails(subscription, payload, { TTL: 12 * 60 * 60 });
+  const response = await fetch(details.endpoint, {
+    method: details.method,
+    headers: details.headers,
+    body: details.body
+  });
+  if (!response.ok) {
+    const error = new Error('Push service replied ' + response.status);
+    error.statusCode = response.status;
+    throw error;
+  }
+}
+
+function readSubscriptions(file) {
+  if (!fs.existsSync(file)) return [];
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+/**
+ * Build the notification payload for an edition. sw.js recomputes it against
+ * what the reader has already seen and only falls back to this when offline.
+ * @param {Object} edition - Parsed edition JSON
+ * @returns {Object} see EditionNotify.notification()
+ */
+function buildPayload(edition) {
+  return EditionNotify.notification(edition, null);
+}
+
+function lastSentEdition() {
+  if (!fs.existsSync(SENT_FILE)) return null;
+  return JSON.parse(fs.readFileSync(SENT_FILE, 'utf8')).edition;
+}
+
+async function send(args) {
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY) {
+    throw new Error('Set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY (generate them with --generate-keys)');
+  }
+  webpush.setVapidDetails(VAPID_SUBJECT || 'mailto:hello@aigrandmas.com', VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+
+  const subscriptionsFile = argValue(args, '--subscriptions', DEFAULT_SUBSCRIPTIONS);
+  const edition = JSON.parse(fs.readFileSync(argValue(args, '--edition', DEFAULT_EDITION), 'utf8'));
+  const editionId = EditionNotify.id(edition);
+  if (!args.includes('--force') && lastSentEdition() === editionId) {
+    console.log('Edition ' + editionId + ' was already sent — nothing to do (use --force to resend).');
+    return;
+  }
+
+  const payload = JSON.stringify(buildPayload(edition));
+  const subscriptions = readSubscriptions(subscriptionsFile);
+
+  const gone = [];
+  let sent = 0;
+  for (const subscription of subscriptions) {
+    try {
+      await pushTo(subscription, payload);
+      sent++;
+    } catch (e) {
+      if (e.statusCode === 404 || e.statusCode === 410) {
+        gone.push(subscription.endpoint);
+      } else {
+        console.error('Push to ' + subscription.endpoint + ' failed: ' + (e.statusCode || e.message));
+      }
+    }
+  }
+
+  fs.writeFileSync(SENT_FILE, JSON.stringify({ edition: editionId, sent_at: new Date().toISOString() }, null, 2));
+
+  if (gone.length > 0) {
+    const remaining = subscriptions.filter((s) => !gone.includes(s.endpoint));
+    fs.writeFileSync(subscriptionsFile, JSON.stringify(remaining, null, 2));
+  }
+  console.log('Sent ' + sent + '/' + subscriptions.length + ' push(es) for ' + edition.date +
+    (gone.length ? ', removed ' + gone.length + ' expired subscription(s)' : '') + '.');
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  if (args.includes('--generate-keys')) {
+    const keys = webpush.generateVAPIDKeys();
+    console.log('VAPID_PUBLIC_KEY=' + keys.publicKey);
+    console.log('VAPID_PRIVATE_KEY=' + keys.privateKey);
+    console.log('\nPut the public key in www/push-config.js; keep the private key secret.');
+  } else {
+    send(args).catch((e) => {
+      console.error(e.message);
+      process.exit(1);
+    });
+  }
+}
+
+module.exports = { buildPayload };
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Local Push Stand-in
+ *
+ * A tiny HTTP server for trying the Web Push flow without a real backend or
+ * push service:
+ *
+ *   POST   /subscriptions  store a subscription (what the app sends after opt-in)
+ *   DELETE /subscriptions  remove one by { endpoint } (what the app sends on opt-out)
+ *   GET    /subscriptions  list stored subscriptions
+ *   POST   /push/:id       play the push service: check the VAPID and encryption
+ *                          headers, decrypt the payload for fake subscriptions
+ *                          and log it
+ *
+ * Usage:
+ *   node scripts/push/standin.js [--port 8787] [--subscriptions push-subscriptions.json]
+ *   node scripts/push/standin.js --fake-subscription   add a subscription whose pushes land here
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const args = process.argv.slice(2);
+const portArg = args.indexOf('--port');
+const PORT = Number(portArg >= 0 ? args[portArg + 1] : process.env.PORT || 8787);
+const subsArg = args.indexOf('--subscriptions');
+const SUBSCRIPTIONS_FILE = path.resolve(subsArg >= 0 ? args[subsArg + 1] : 'push-subscriptions.json');
+
+function readSubscriptions() {
+  if (!fs.existsSync(SUBSCRIPTIONS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(SUBSCRIPTIONS_FILE, 'utf8'));
+}
+
+function writeSubscriptions(subscriptions) {
+  fs.writeFileSync(SUBSCRIPTIONS_FILE, JSON.stringify(subscriptions, null, 2));
+}
+
+// ── Fake subscriptions: we keep the private key so we can decrypt ──
+function createFakeSubscription() {
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.generateKeys();
+  const subscription = {
+    endpoint: 'http://localhost:' + PORT + '/push/' + crypto.randomBytes(8).toString('hex'),
+    keys: {
+      p256dh: ecdh.getPublicKey().toString('base64url'),
+      auth: crypto.randomBytes(16).toString('base64url')
+    },
+    standin: { privateKey: ecdh.getPrivateKey().toString('base64url') }
+  };
+  writeSubscriptions(readSubscriptions().concat(subscription));
+  return subscription;
+}
+
+// ── aes128gcm decryption (RFC 8188 record, RFC 8291 key derivation) ──
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function decrypt(body, subscription) {
+  const salt = body.subarray(0, 16);
+  const idLength = body.readUInt8(20);
+  const senderPublic = body.subarray(21, 21 + idLength);
+  const ciphertext = body.subarray(21 + idLength);
+
+  const ecdh = crypto.createECDH('prime256v1');
+  ecdh.setPrivateKey(Buffer.from(subscription.standin.privateKey, 'base64url'));
+  const receiverPublic = ecdh.getPublicKey();
+  const sharedSecret = ecdh.computeSecret(senderPublic);
+  const authSecret = Buffer.from(subscription.keys.auth, 'base64url');
+
+  const keyInfo = Buffer.concat([Buffer.from('WebPush: info\0'), receiverPublic, senderPublic]);
+  const ikm = hmac(hmac(authSecret, sharedSecret), Buffer.concat([keyInfo, Buffer.from([1])]));
+  const prk = hmac(salt, ikm);
+  const cek = hmac(prk, Buffer.from('Content-Encoding: aes128gcm\0\x01')).subarray(0, 16);
+  const nonce = hmac(prk, Buffer.from('Content-Encoding: nonce\0\x01')).subarray(0, 12);
+
+  const decipher = crypto.createDecipheriv('aes-128-gcm', cek, nonce);
+  decipher.setAuthTag(ciphertext.subarray(ciphertext.length - 16));
+  const padded = Buffer.concat([decipher.update(ciphertext.subarray(0, ciphertext.length - 16)), decipher.final()]);
+  // Last record: content, then a 0x02 delimiter and zero padding
+  return padded.subarray(0, padded.lastIndexOf(2)).toString('utf8');
+}
+
+// ── HTTP ──
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+async function handleSubscriptions(req, res) {
+  if (req.method === 'GET') return reply(res, 200, readSubscriptions());
+
+  let body;
+  try {
+    body = JSON.parse((await readBody(req)).toString('utf8'));
+  } catch {
+    return reply(res, 400, { error: 'Expected JSON' });
+  }
+  if (!body || typeof body.endpoint !== 'string') return reply(res, 400, { error: 'Missing endpoint' });
+
+  const others = readSubscriptions().filter((s) => s.endpoint !== body.endpoint);
+  if (req.method === 'POST') {
+    if (!body.keys || !body.keys.p256dh || !body.keys.auth) return reply(res, 400, { error: 'Missing keys' });
+    writeSubscriptions(others.concat({ endpoint: body.endpoint, keys: body.keys }));
+    console.log('Subscribed   ' + body.endpoint);
+    return reply(res, 201, { ok: true });
+  }
+  if (req.method === 'DELETE') {
+    writeSubscriptions(others);
+    console.log('Unsubscribed ' + body.endpoint);
+    return reply(res, 200, { ok: true });
+  }
+  return reply(res, 405, { error: 'Method not allowed' });
+}
+
+async function handlePush(req, res) {
+  if (req.method !== 'POST') return reply(res, 405, { error: 'Method not allowed' });
+
+  const endpoint = 'http://localhost:' + PORT + req.url;
+  const subscription = readSubscriptions().find((s) => s.endpoint === endpoint);
+  if (!subscription) return reply(res, 410, { error: 'Subscription gone' });
+
+  const auth = req.headers.authorization || '';
+  if (!/^vapid t=[\w-]+\.[\w-]+\.[\w-]+, k=[\w-]+$/.test(auth)) {
+    return reply(res, 401, { error: 'Missing or malformed VAPID Authorization header' });
+  }
+  if (!req.headers.ttl) return reply(res, 400, { error: 'Missing TTL header' });
+
+  const body = await readBody(req);
+  let payload = '(no payload)';
+  if (body.length > 0) {
+    if (req.headers['content-encoding'] !== 'aes128gcm') {
+      return reply(res, 415, { error: 'Expected Content-Encoding: aes128gcm' });
+    }
+    try {
+      payload = subscription.standin ? decrypt(body, subscription) : '(' + body.length + ' encrypted bytes)';
+    } catch (e) {
+      return reply(res, 400, { error: 'Decryption failed: ' + e.message });
+    }
+  }
+
+  console.log('Push         ' + req.url + ' TTL=' + req.headers.ttl + ' ' + payload);
+  return reply(res, 201);
+}
+
+if (args.includes('--fake-subscription')) {
+  const subscription = createFakeSubscription();
+  console.log('Added fake subscription ' + subscription.endpoint + ' to ' + SUBSCRIPTIONS_FILE);
+} else {
+  http.createServer((req, res) => {
+    if (req.method === 'OPTIONS') return reply(res, 204);
+    if (req.url === '/subscriptions') return handleSubscriptions(req, res);
+    if (req.url.startsWith('/push/')) return handlePush(req, res);
+    return reply(res, 404, { error: 'Not found' });
+  }).listen(PORT, () => {
+    console.log('Push stand-in on http://localhost:' + PORT + ' (subscriptions in ' + SUBSCRIPTIONS_FILE + ')');
+  });
+}
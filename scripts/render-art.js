@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Card Art Renderer
+ *
+ * Rasterizes the generated art (www/art.js) of every card in an edition to
+ * PNG or WebP, the same pattern the deck and the share image draw. Files go
+ * to www/art/<date>/<card-id>-<width>x<height>.<ext> (translations add their
+ * locale: <card-id>.es-1200x630.png). A 1200x630 PNG becomes the card's
+ * link-preview image in scripts/build-card-pages.js.
+ *
+ * --fill sets image_url on cards that have none to their first rendered
+ * size and saves the edition. Those cards then show the still image in the
+ * app rather than the drifting SVG. image_url must be absolute, so it needs
+ * SITE_URL.
+ *
+ * Usage: [SITE_URL=https://example.com/app/] node scripts/render-art.js
+ *          [--size 1200x630,1080x1080] [--format png|webp] [--fill] [file ...]
+ *   --size    one or more WIDTHxHEIGHT, comma-separated (default 1200x630)
+ *   --format  png (default) or webp
+ *   --fill    write image_url for cards without one
+ *   file      defaults to www/data/latest.json
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const CardArt = require('../www/art.js');
+const CardTypes = require('../www/card-types.js');
+const DeepLink = require('../www/deep-link.js');
+
+const WWW = path.join(__dirname, '..', 'www');
+const ART_DIR = 'art';
+const FORMATS = ['png', 'webp'];
+const PREVIEW_SIZE = { width: 1200, height: 630 };
+const MAX_SIDE = 4096;
+
+/**
+ * Path of a card's rendered art, relative to www/.
+ * @param {Object} edition - For its date and locale
+ * @param {string} cardId
+ * @param {{ width: number, height: number }} size
+ * @param {string} format - png or webp
+ * @returns {string|null} null if the card's id can't be a file name
+ */
+function artPath(edition, cardId, size, format) {
+  // Same rules as the link pages, so every page can have its image
+  if (!DeepLink.pagePath(edition.date, cardId)) return null;
+  const locale = edition.locale && edition.locale !== 'en' ? '.' + edition.locale : '';
+  return ART_DIR + '/' + edition.date + '/' + cardId + locale + '-' + size.width + 'x' + size.height + '.' + format;
+}
+
+function parseSizes(value) {
+  return value.split(',').map((text) => {
+    const match = /^(\d+)x(\d+)$/.exec(text.trim());
+    const size = match && { width: Number(match[1]), height: Number(match[2]) };
+    if (!size || !size.width || !size.height || size.width > MAX_SIDE || size.height > MAX_SIDE) {
+      throw new Error('Bad --size "' + text + '" — expected WIDTHxHEIGHT, up to ' + MAX_SIDE + ' per side');
+    }
+    return size;
+  });
+}
+
+function parseArgs(args) {
+  const options = { sizes: [PREVIEW_SIZE], format: 'png', fill: args.includes('--fill'), files: [] };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--size') options.sizes = parseSizes(args[++i] || '');
+    else if (args[i] === '--format') options.format = args[++i];
+    else if (args[i] !== '--fill') options.files.push(args[i]);
+  }
+  if (!FORMATS.includes(options.format)) {
+    throw new Error('Bad --format "' + options.format + '" — expected ' + FORMATS.join(' or '));
+  }
+  if (options.files.length === 0) options.files.push(path.join(WWW, 'data', 'latest.json'));
+  return options;
+}
+
+async function renderEdition(file, options, sharp) {
+  const edition = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!edition.date) throw new Error(file + ' has no "date"');
+  // Types the edition declares draw with their own art rules, as in the app
+  CardTypes.registerAll(edition.types || []);
+  const siteUrl = (process.env.SITE_URL || '').replace(/\/?$/, '/');
+
+  let images = 0;
+  let filled = 0;
+  let skipped = 0;
+  for (const card of edition.cards || []) {
+    if (!artPath(edition, card.id, options.sizes[0], options.format)) {
+      skipped++;
+      continue;
+    }
+    for (const size of options.sizes) {
+      const relative = artPath(edition, card.id, size, options.format);
+      const svg = CardArt.generate(card.title || '', card.type || 'quick_bite', size);
+      const target = path.join(WWW, relative);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      await sharp(Buffer.from(svg))[options.format]().toFile(target);
+      images++;
+    }
+    if (options.fill && !card.image_url) {
+      card.image_url = new URL(artPath(edition, card.id, options.sizes[0], options.format), siteUrl).href;
+      filled++;
+    }
+  }
+
+  if (filled > 0) fs.writeFileSync(file, JSON.stringify(edition, null, 2));
+  const relative = path.relative(process.cwd(), file);
+  const name = relative && !relative.startsWith('..') ? relative : file;
+  console.log(name + ': ' + images + ' images' +
+    (filled ? ', image_url set on ' + filled + ' cards' : '') +
+    (skipped ? ' (' + skipped + ' cards without a usable id skipped)' : '') + '.');
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (options.fill && !process.env.SITE_URL) {
+    throw new Error('--fill needs SITE_URL: image_url has to be an absolute URL');
+  }
+  // Only rendering needs sharp (a devDependency); artPath works without it
+  const sharp = require('sharp');
+  for (const file of options.files) await renderEdition(path.resolve(file), options, sharp);
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { ART_DIR, PREVIEW_SIZE, artPath };
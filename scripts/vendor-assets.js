@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * AI for Grandmas — Vendored Assets
+ *
+ * Copies Swiper and the Inter and Lora fonts from node_modules into
+ * www/vendor/, so the app shell has no third-party requests and works on its
+ * first offline launch.
+ * The copies are committed; re-run this after bumping either package.
+ *
+ * Usage: node scripts/vendor-assets.js
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const VENDOR = path.join(ROOT, 'www', 'vendor');
+
+// Latin covers English and Spanish; latin-ext the rest of western Europe
+const FONT_SUBSETS = ['latin-ext', 'latin'];
+
+function copy(from, to) {
+  fs.mkdirSync(path.dirname(to), { recursive: true });
+  fs.copyFileSync(path.join(ROOT, 'node_modules', from), to);
+}
+
+function packageVersion(name) {
+  return JSON.parse(fs.readFileSync(path.join(ROOT, 'node_modules', name, 'package.json'), 'utf8')).version;
+}
+
+// Swiper
+['swiper-bundle.min.js', 'swiper-bundle.min.css', 'LICENSE'].forEach((file) => {
+  copy(path.join('swiper', file), path.join(VENDOR, 'swiper', file));
+});
+
+// A variable font from @fontsource-variable, declared under its plain family
+// name ('Inter', 'Lora') so style.css and the share image canvas
+// (card-image.js) pick it up by name
+function vendorFont(id, family, weights, styles) {
+  const pkg = path.join('@fontsource-variable', id);
+  const faces = styles.flatMap((style) => {
+    const fontCss = fs.readFileSync(path.join(ROOT, 'node_modules', pkg, style === 'normal' ? 'wght.css' : 'wght-' + style + '.css'), 'utf8');
+    return FONT_SUBSETS.map((subset) => {
+      const file = id + '-' + subset + '-wght-' + style + '.woff2';
+      copy(path.join(pkg, 'files', file), path.join(VENDOR, id, file));
+
+      const block = fontCss.split('/* ' + id + '-' + subset + '-wght-' + style + ' */')[1];
+      const unicodeRange = /unicode-range:\s*([^;]+);/.exec(block)[1];
+      return '@font-face {\n' +
+        '  font-family: \'' + family + '\';\n' +
+        '  font-style: ' + style + ';\n' +
+        '  font-display: swap;\n' +
+        '  font-weight: ' + weights + ';\n' +
+        '  src: url(./' + file + ') format(\'woff2-variations\'), url(./' + file + ') format(\'woff2\');\n' +
+        '  unicode-range: ' + unicodeRange + ';\n' +
+        '}\n';
+    });
+  });
+  copy(path.join(pkg, 'LICENSE'), path.join(VENDOR, id, 'LICENSE'));
+  fs.writeFileSync(path.join(VENDOR, id, id + '.css'),
+    '/* ' + family + ' ' + packageVersion(pkg) + ' (SIL OFL 1.1), generated by scripts/vendor-assets.js */\n' + faces.join('\n'));
+}
+
+vendorFont('inter', 'Inter', '100 900', ['normal']);
+vendorFont('lora', 'Lora', '400 700', ['normal', 'italic']);
+
+console.log('Vendored swiper ' + packageVersion('swiper') + ', Inter ' + packageVersion('@fontsource-variable/inter') +
+  ' and Lora ' + packageVersion('@fontsource-variable/lora') + ' into www/vendor/.');
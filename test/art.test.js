@@ -0,0 +1,133 @@
+/**
+ * CardArt snapshot tests: the same seed must always render byte-identical
+ * SVG, so cards keep their art across releases and server-side renders match
+ * the app. After an intended change to art.js, refresh the snapshots with
+ *
+ *   UPDATE_SNAPSHOTS=1 npm test
+ *
+ * and review the new SVGs in test/snapshots/art/ before committing them.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const CardArt = require('../www/art.js');
+const CardTypes = require('../www/card-types.js');
+
+const SNAPSHOTS = path.join(__dirname, 'snapshots', 'art');
+const UPDATE = !!process.env.UPDATE_SNAPSHOTS;
+
+const TITLES = [
+  'ChatGPT Now Makes Full Apps From a Single Sentence',
+  'Grandma’s Closing Thought'
+];
+
+// name → [title, type, options]
+const CASES = {};
+CardTypes.ids().forEach((type) => {
+  TITLES.forEach((title, i) => {
+    CASES[type + '-' + (i + 1)] = [title, type, {}];
+  });
+});
+CASES['cookie-animated'] = [TITLES[1], 'cookie', { animated: true }];
+CASES['unknown-type'] = [TITLES[0], 'not_a_type', {}];
+CASES['empty-title'] = ['', 'quick_bite', {}];
+CASES['sized'] = [TITLES[0], 'holy_shit', { width: 1200, height: 630 }];
+
+function checkSnapshot(name, svg) {
+  const file = path.join(SNAPSHOTS, name + '.svg');
+  if (UPDATE) {
+    fs.mkdirSync(SNAPSHOTS, { recursive: true });
+    fs.writeFileSync(file, svg + '\n');
+    return;
+  }
+  assert.ok(fs.existsSync(file), 'no snapshot for ' + name + ' — run UPDATE_SNAPSHOTS=1 npm test and commit it');
+  assert.strictEqual(svg + '\n', fs.readFileSync(file, 'utf8'), name + ' no longer matches its snapshot');
+}
+
+Object.keys(CASES).forEach((name) => {
+  test('snapshot: ' + name, () => {
+    const [title, type, options] = CASES[name];
+    checkSnapshot(name, CardArt.generate(title, type, options));
+  });
+});
+
+test('same seed, same SVG', () => {
+  const first = CardArt.generate(TITLES[0], 'tool_drop');
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(CardArt.generate(TITLES[0], 'tool_drop'), first);
+  }
+});
+
+test('titles one letter apart get different art', () => {
+  const seen = new Set();
+  for (let i = 0; i < 200; i++) {
+    seen.add(CardArt.generate('AI tool update ' + i, 'quick_bite'));
+  }
+  assert.strictEqual(seen.size, 200);
+});
+
+test('hash spreads similar strings', () => {
+  const hashes = new Set();
+  for (let i = 0; i < 20000; i++) hashes.add(CardArt.hash('card-' + i));
+  assert.strictEqual(hashes.size, 20000);
+});
+
+test('animation only adds the drift, never changes the shapes', () => {
+  const strip = (svg) => svg.replace(/<\/?g>|<animateTransform[^>]*\/>/g, '');
+  let drifting = 0;
+  for (let i = 0; i < 50; i++) {
+    const still = CardArt.generate('Title ' + i, 'cookie');
+    const animated = CardArt.generate('Title ' + i, 'cookie', { animated: true });
+    assert.ok(!still.includes('<animate'));
+    assert.strictEqual(strip(animated), strip(still));
+    if (animated.includes('<animateTransform')) drifting++;
+  }
+  assert.ok(drifting > 0);
+});
+
+test('types draw from their own pattern families', () => {
+  CardTypes.ids().forEach((type) => {
+    const allowed = CardTypes.get(type).art.patterns;
+    for (let i = 0; i < 50; i++) {
+      const families = /data-art="([^"]+)"/.exec(CardArt.generate('Title ' + i, type))[1].split('+');
+      families.forEach((family) => assert.ok(allowed.includes(family), type + ' used ' + family));
+    }
+  });
+});
+
+test('every pattern family renders clean numbers', () => {
+  CardTypes.register({
+    id: 'every_pattern', label: 'TEST', emoji: '🧪', colors: { accent: '#123456' },
+    art: { patterns: CardArt.PATTERNS }
+  });
+  const used = new Set();
+  for (let i = 0; i < 300; i++) {
+    const svg = CardArt.generate('Title ' + i, 'every_pattern');
+    assert.ok(!/NaN|undefined|Infinity/.test(svg), 'bad value in ' + svg.slice(0, 200));
+    /data-art="([^"]+)"/.exec(svg)[1].split('+').forEach((family) => used.add(family));
+  }
+  assert.deepStrictEqual([...used].sort(), [...CardArt.PATTERNS].sort());
+});
+
+test('art.js, the type registry and the schema agree on the pattern families', () => {
+  const schema = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'schema', 'edition.schema.json'), 'utf8'));
+  const enums = [];
+  JSON.stringify(schema, (key, value) => {
+    if (key === 'patterns' && value && value.items) enums.push(value.items.enum);
+    return value;
+  });
+  assert.deepStrictEqual([...CardTypes.PATTERNS].sort(), [...CardArt.PATTERNS].sort());
+  assert.deepStrictEqual(enums, [CardTypes.PATTERNS]);
+});
+
+test('type definitions with unknown pattern families or moods are rejected', () => {
+  const def = { id: 'odd', label: 'ODD', emoji: '🌀', colors: { accent: '#123456' } };
+  assert.deepStrictEqual(CardTypes.checkDefinition({ ...def, art: { patterns: ['waves', 'tiles'], mood: 'warm' } }), []);
+  assert.strictEqual(CardTypes.checkDefinition({ ...def, art: { patterns: ['waves', 'sparkles'] } }).length, 1);
+  assert.strictEqual(CardTypes.checkDefinition({ ...def, art: { patterns: [] } }).length, 1);
+  assert.strictEqual(CardTypes.checkDefinition({ ...def, art: { mood: 'gloomy' } }).length, 1);
+});
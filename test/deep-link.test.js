@@ -0,0 +1,38 @@
+/**
+ * DeepLink: hash routes and link-preview page paths, both ways.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DeepLink = require('../www/deep-link.js');
+
+test('card and edition routes parse back to what they were built from', () => {
+  assert.deepStrictEqual(DeepLink.parse(DeepLink.hash('2026-02-19', 'tool-drop-001')), { date: '2026-02-19', cardId: 'tool-drop-001' });
+  assert.deepStrictEqual(DeepLink.parse(DeepLink.hash('2026-02-19')), { date: '2026-02-19', cardId: null });
+  assert.deepStrictEqual(DeepLink.parse('#/2026-02-19/'), { date: '2026-02-19', cardId: null });
+  // Ids that need escaping survive the round trip
+  assert.deepStrictEqual(DeepLink.parse(DeepLink.hash('2026-02-19', 'café/1')), { date: '2026-02-19', cardId: 'café/1' });
+});
+
+test('hashes that aren’t routes parse to null', () => {
+  ['', null, '#', '#/', '#/saved', '#/2026-2-19', '#2026-02-19', '#/2026-02-19/a/b', '#/2026-02-19/%E0%A4%A']
+    .forEach((hash) => assert.strictEqual(DeepLink.parse(hash), null, String(hash)));
+});
+
+test('only cards whose id can be a file name get a link page', () => {
+  assert.strictEqual(DeepLink.pagePath('2026-02-19', 'tool-drop-001'), 'cards/2026-02-19/tool-drop-001.html');
+  assert.strictEqual(DeepLink.pagePath('2026-02-19', '../../index'), null);
+  assert.strictEqual(DeepLink.pagePath('2026-02-19', 'café'), null);
+  assert.strictEqual(DeepLink.pagePath('19/02/2026', 'tool-drop-001'), null);
+  assert.strictEqual(DeepLink.pagePath('2026-02-19', ''), null);
+});
+
+test('link pages map back to their route, other paths to null', () => {
+  assert.deepStrictEqual(DeepLink.fromPagePath('/ai-for-grandmas/' + DeepLink.pagePath('2026-02-19', 'tool-drop-001')),
+    { date: '2026-02-19', cardId: 'tool-drop-001' });
+  ['/ai-for-grandmas/', '/ai-for-grandmas/cards/2026-02-19/', '/cards/2026-02-19/tool-drop-001.json',
+    '/cards/latest/tool-drop-001.html', '/ai-for-grandmas/index.html', null]
+    .forEach((pathname) => assert.strictEqual(DeepLink.fromPagePath(pathname), null, String(pathname)));
+});
@@ -0,0 +1,89 @@
+/**
+ * EditionCheck: which editions and cards are rejected, and why.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const EditionCheck = require('../www/edition-check.js');
+
+function card(id, overrides) {
+  return {
+    id,
+    type: 'quick_bite',
+    emoji: '⚡',
+    label: 'QUICK BITE',
+    title: 'A title',
+    body: 'A body.',
+    source_url: 'https://example.com/story',
+    source_name: 'Example',
+    ...overrides
+  };
+}
+
+function edition(cards, overrides) {
+  return { date: '2026-02-19', generated_at: '2026-02-19T04:00:00Z', card_count: cards.length, cards, ...overrides };
+}
+
+test('the committed sample edition passes', () => {
+  const latest = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'www', 'data', 'latest.json'), 'utf8'));
+  const result = EditionCheck.checkEdition(latest);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.cards.length, latest.cards.length);
+});
+
+test('anything that isn’t an edition is rejected outright', () => {
+  assert.deepStrictEqual(EditionCheck.checkEdition(null), { valid: false, errors: ['edition is not an object'], warnings: [], cards: [] });
+  const empty = EditionCheck.checkEdition(edition([], { date: '19/02/2026' }));
+  assert.strictEqual(empty.valid, false);
+  assert.ok(empty.errors.includes('cards: no cards'));
+  assert.ok(empty.errors.some((e) => e.startsWith('date:')));
+});
+
+test('bad cards are dropped and the rest kept, in order', () => {
+  const result = EditionCheck.checkEdition(edition([
+    card('quick-bite-001'),
+    card('quick-bite-002', { type: 'mystery_meat' }),
+    card('quick-bite-003', { source_url: 'javascript:alert(1)' }),
+    card('quick-bite-004', { body: 'x'.repeat(EditionCheck.LIMITS.bodyMax + 1) }),
+    card('quick-bite-001', { title: 'Same id again' }),
+    'not a card',
+    card('quick-bite-005')
+  ]));
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.cards.map((c) => c.id), ['quick-bite-001', 'quick-bite-005']);
+  assert.match(result.errors.join('\n'), /cards\[1\]\.type: unknown type "mystery_meat"/);
+  assert.match(result.errors.join('\n'), /cards\[2\]\.source_url: .* is not an http\(s\) URL/);
+  assert.match(result.errors.join('\n'), /cards\[3\]\.body: \d+ characters/);
+  assert.match(result.errors.join('\n'), /cards\[4\]\.id: duplicate of cards\[0\]/);
+  assert.match(result.errors.join('\n'), /cards\[5\]: card is not an object/);
+});
+
+test('a card_count that disagrees with the cards is an error', () => {
+  const result = EditionCheck.checkEdition(edition([card('quick-bite-001')], { card_count: 3 }));
+  assert.strictEqual(result.valid, false);
+  assert.deepStrictEqual(result.errors, ['card_count: says 3 but there are 1 cards']);
+  assert.strictEqual(result.cards.length, 1);
+});
+
+test('types the edition declares are accepted for its cards; broken declarations are not', () => {
+  const types = [
+    { id: 'slow_read', label: 'SLOW READ', emoji: '🐢', colors: { accent: '#336699' } },
+    { id: 'bad_type', label: 'BAD', emoji: '💥', colors: { accent: 'red' } }
+  ];
+  const result = EditionCheck.checkEdition(edition([
+    card('slow-read-001', { type: 'slow_read' }),
+    card('bad-type-001', { type: 'bad_type' })
+  ], { types }));
+  assert.deepStrictEqual(result.cards.map((c) => c.id), ['slow-read-001']);
+  assert.ok(result.errors.some((e) => e.startsWith('types[1]')));
+});
+
+test('a missing source name is only a warning', () => {
+  const result = EditionCheck.checkEdition(edition([card('quick-bite-001', { source_name: null })]));
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.warnings, ['cards[0].source_name: missing for a card with a source_url']);
+});
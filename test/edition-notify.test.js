@@ -0,0 +1,50 @@
+/**
+ * EditionNotify: what counts as a new edition, and which cards it announces.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const EditionNotify = require('../www/edition-notify.js');
+
+// Card ids are per-day sequence numbers, so consecutive editions share them
+function edition(date, generatedAt, titles) {
+  return {
+    date,
+    generated_at: generatedAt,
+    cards: titles.map((title, i) => ({ id: 'quick-bite-00' + (i + 1), type: 'quick_bite', emoji: '⚡', title }))
+  };
+}
+
+const monday = edition('2026-02-19', '2026-02-19T04:00:00Z', ['Monday one', 'Monday two']);
+const tuesday = edition('2026-02-20', '2026-02-20T04:00:00Z', ['Tuesday one', 'Tuesday two']);
+
+test('the next day’s edition is new, with every card, even when ids recur', () => {
+  const seen = EditionNotify.seenRecord(monday);
+  const { isNew, newCards } = EditionNotify.diff(tuesday, seen);
+  assert.strictEqual(isNew, true);
+  assert.deepStrictEqual(newCards.map((c) => c.title), ['Tuesday one', 'Tuesday two']);
+
+  const note = EditionNotify.notification(tuesday, seen);
+  assert.ok(note);
+  assert.strictEqual(note.cardId, 'quick-bite-001');
+  assert.strictEqual(note.tag, 'afg-edition-2026-02-20');
+  assert.strictEqual(note.edition, EditionNotify.id(tuesday));
+  assert.match(note.body, /Tuesday one/);
+});
+
+test('an edition already opened is not announced again', () => {
+  assert.strictEqual(EditionNotify.notification(tuesday, EditionNotify.seenRecord(tuesday)), null);
+});
+
+test('a re-generated edition on the same date announces only its added cards', () => {
+  const regenerated = edition('2026-02-20', '2026-02-20T09:00:00Z', ['Tuesday one', 'Tuesday two', 'Tuesday three']);
+  const { isNew, newCards } = EditionNotify.diff(regenerated, EditionNotify.seenRecord(tuesday));
+  assert.strictEqual(isNew, true);
+  assert.deepStrictEqual(newCards.map((c) => c.title), ['Tuesday three']);
+});
+
+test('with nothing seen yet, every card is new', () => {
+  assert.strictEqual(EditionNotify.diff(monday, null).newCards.length, 2);
+});
@@ -0,0 +1,70 @@
+/**
+ * ImageCache: what gets cached, and what's dropped to stay under budget.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+
+// Minimal Cache API: one Map per cache name
+const caches = new Map();
+global.caches = {
+  open: async (name) => {
+    if (!caches.has(name)) {
+      const entries = new Map();
+      caches.set(name, {
+        entries,
+        match: async (url) => entries.get(url),
+        put: async (url, response) => { entries.set(url, response); },
+        delete: async (url) => entries.delete(url)
+      });
+    }
+    return caches.get(name);
+  }
+};
+
+const ImageCache = require('../www/image-cache.js');
+
+const MB = 1024 * 1024;
+
+test('eviction drops the least recently used images until the rest fit', () => {
+  const index = {
+    'https://img/a': { bytes: 2 * MB, used: 3 },
+    'https://img/b': { bytes: 2 * MB, used: 1 },
+    'https://img/c': { bytes: 2 * MB, used: 2 }
+  };
+  assert.deepStrictEqual(ImageCache.evictionPlan(index, 4 * MB), ['https://img/b']);
+  assert.deepStrictEqual(ImageCache.evictionPlan(index, 6 * MB), []);
+  assert.deepStrictEqual(ImageCache.evictionPlan(index, 1 * MB), ['https://img/b', 'https://img/c', 'https://img/a']);
+});
+
+test('a full edition of images fits the budget the service worker sets', () => {
+  const index = {};
+  for (let i = 0; i < 10; i++) index['https://img/' + i] = { bytes: 500 * 1024, used: i };
+  assert.deepStrictEqual(ImageCache.evictionPlan(index, 30 * MB), []);
+});
+
+test('prefetch keeps CORS images and skips hosts that refuse CORS', async () => {
+  global.fetch = async (url) => {
+    if (url.includes('no-cors-host')) throw new TypeError('Failed to fetch');
+    return new Response('x'.repeat(1000));
+  };
+  await ImageCache.prefetch(['https://img.example/a.png', 'https://no-cors-host/b.png']);
+
+  const cache = await global.caches.open(ImageCache.NAME);
+  assert.ok(await cache.match('https://img.example/a.png'));
+  assert.strictEqual(await cache.match('https://no-cors-host/b.png'), undefined);
+  const index = await (await cache.match('./image-cache-index.json')).json();
+  assert.deepStrictEqual(Object.keys(index), ['https://img.example/a.png']);
+  assert.strictEqual(index['https://img.example/a.png'].bytes, 1000);
+});
+
+test('opaque responses are passed through but never cached', async () => {
+  const opaque = { type: 'opaque', ok: false, status: 0, clone() { return this; } };
+  global.fetch = async () => opaque;
+  const response = await ImageCache.handle({ url: 'https://opaque.example/c.png', mode: 'no-cors' });
+  assert.strictEqual(response, opaque);
+  const cache = await global.caches.open(ImageCache.NAME);
+  assert.strictEqual(await cache.match('https://opaque.example/c.png'), undefined);
+});
@@ -0,0 +1,81 @@
+/**
+ * SavedExport: round trips, what an import file may contain, and how it
+ * merges into the saved list.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const SavedExport = require('../www/saved-export.js');
+
+const saved = {
+  id: 'holy-shit-001',
+  type: 'holy_shit',
+  emoji: '🔥',
+  label: 'HOLY SHIT',
+  title: 'Monday news',
+  body: 'Something happened.',
+  source_url: 'https://example.com/story',
+  source_name: 'Example',
+  date: '2026-02-16',
+  saved_at: '2026-02-16T09:00:00.000Z'
+};
+
+test('a JSON export imports back unchanged', () => {
+  const file = SavedExport.serialize([saved], 'json');
+  assert.match(file.filename, /^ai-for-grandmas-saved-\d{4}-\d{2}-\d{2}\.json$/);
+  assert.deepStrictEqual(SavedExport.parseImport(file.text), [saved]);
+});
+
+test('files that aren’t exports are refused', () => {
+  assert.throws(() => SavedExport.parseImport('not json'), /isn’t a JSON export/);
+  assert.throws(() => SavedExport.parseImport('{"cards": []}'), /No saved cards/);
+  assert.throws(() => SavedExport.serialize([saved], 'pdf'), /Unknown export format/);
+});
+
+test('imported cards without an id or title are dropped, and bad fields cleared', () => {
+  const cards = SavedExport.parseImport(JSON.stringify([
+    { title: 'No id' },
+    { id: 'quick-bite-001' },
+    null,
+    {
+      id: 'quick-bite-002',
+      title: 'Kept',
+      body: { html: '<b>nope</b>' },
+      emoji: 42,
+      source_url: 'javascript:alert(1)',
+      date: 'Monday',
+      saved_at: 'yesterday',
+      extra: 'dropped'
+    }
+  ]));
+  assert.strictEqual(cards.length, 1);
+  const card = cards[0];
+  assert.strictEqual(card.id, 'quick-bite-002');
+  assert.strictEqual(card.body, null);
+  assert.strictEqual(card.emoji, null);
+  assert.strictEqual(card.source_url, null);
+  assert.strictEqual(card.date, null);
+  assert.ok(!isNaN(Date.parse(card.saved_at)));
+  assert.ok(!('extra' in card));
+});
+
+test('merge skips cards already saved, and duplicates within the file', () => {
+  const tuesday = { ...saved, title: 'Tuesday news', date: '2026-02-17' };
+  const { added, skipped } = SavedExport.merge([saved], [
+    { ...saved, body: 'An edited copy' },
+    tuesday,
+    { ...tuesday }
+  ]);
+  // Same id on another day is a different card
+  assert.deepStrictEqual(added, [tuesday]);
+  assert.strictEqual(skipped, 2);
+});
+
+test('CSV cells can’t run as spreadsheet formulas', () => {
+  const csv = SavedExport.toCSV([{ ...saved, title: '=HYPERLINK("https://evil")', body: 'one, two' }]);
+  assert.ok(csv.startsWith('\uFEFFid,type,'));
+  assert.match(csv, /"'=HYPERLINK\(""https:\/\/evil""\)"/);
+  assert.match(csv, /"one, two"/);
+});
@@ -0,0 +1,52 @@
+/**
+ * Settings: stored settings are cleaned up, and type preferences shape the
+ * day's deck.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const Settings = require('../www/settings.js');
+
+const deck = [
+  { id: 'holy-shit-001', type: 'holy_shit' },
+  { id: 'quick-bite-001', type: 'quick_bite' },
+  { id: 'cookie-001', type: 'cookie' },
+  { id: 'tool-drop-001', type: 'tool_drop' },
+  { id: 'quick-bite-002', type: 'quick_bite' },
+  { id: 'bs-detector-001', type: 'bs_detector' }
+];
+
+function arrange(typePrefs, showHidden) {
+  const result = Settings.arrangeDeck(deck, Settings.normalize({ typePrefs }), showHidden);
+  return { ids: result.cards.map((card) => card.id), hidden: result.hidden };
+}
+
+test('with no preferences the edition keeps its order, cookie last', () => {
+  assert.deepStrictEqual(arrange({}).ids,
+    ['holy-shit-001', 'quick-bite-001', 'tool-drop-001', 'quick-bite-002', 'bs-detector-001', 'cookie-001']);
+});
+
+test('prioritized types come first, in edition order, and the rest follow in theirs', () => {
+  assert.deepStrictEqual(arrange({ quick_bite: 'priority', bs_detector: 'priority' }).ids,
+    ['quick-bite-001', 'quick-bite-002', 'bs-detector-001', 'holy-shit-001', 'tool-drop-001', 'cookie-001']);
+});
+
+test('hidden types are dropped and counted, or kept in place when shown anyway', () => {
+  assert.deepStrictEqual(arrange({ quick_bite: 'hide' }),
+    { ids: ['holy-shit-001', 'tool-drop-001', 'bs-detector-001', 'cookie-001'], hidden: 2 });
+  assert.deepStrictEqual(arrange({ quick_bite: 'hide', tool_drop: 'priority' }, true),
+    { ids: ['tool-drop-001', 'holy-shit-001', 'quick-bite-001', 'quick-bite-002', 'bs-detector-001', 'cookie-001'], hidden: 2 });
+});
+
+test('the cookie card closes the deck even when prioritized or hidden', () => {
+  assert.deepStrictEqual(arrange({ cookie: 'priority' }).ids.slice(-1), ['cookie-001']);
+  assert.deepStrictEqual(arrange({ cookie: 'hide' }, true).ids.slice(-1), ['cookie-001']);
+});
+
+test('unknown preferences and settings fall back to the defaults', () => {
+  const settings = Settings.normalize({ textSize: 'huge', theme: 'neon', locale: 'en-US!', typePrefs: { quick_bite: 'sometimes', tool_drop: 'show' } });
+  assert.deepStrictEqual(settings, { ...Settings.DEFAULTS, typePrefs: {} });
+  assert.deepStrictEqual(Settings.normalize(null), Settings.DEFAULTS);
+});
@@ -0,0 +1,62 @@
+/**
+ * ReadingStats: the totals the stats screen shows.
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ReadingStats = require('../www/stats.js');
+
+test('days read counts only days with a card read, not every visit', () => {
+  const days = [
+    { date: '2026-02-17', visits: 1, cards_read: 3 },
+    { date: '2026-02-18', visits: 2, cards_read: 0 },
+    { date: '2026-02-19', visits: 1 },
+    { date: '2026-02-20', visits: 1, cards_read: 1 }
+  ];
+  const stats = ReadingStats.summarize({ days, reads: [], saved: [], today: '2026-02-20' });
+  assert.strictEqual(stats.daysRead, 2);
+});
+
+test('a saved card only counts as read if it was read in its own edition', () => {
+  // holy-shit-001 is in every edition: Monday's was read, Tuesday's saved
+  const reads = [
+    { date: '2026-02-16', id: 'holy-shit-001', type: 'holy_shit' },
+    { date: '2026-02-17', id: 'quick-bite-001', type: 'quick_bite' }
+  ];
+  const saved = [
+    { id: 'holy-shit-001', title: 'Tuesday news', date: '2026-02-17', saved_at: '2026-02-17T09:00:00' },
+    { id: 'quick-bite-001', title: 'Tuesday bite', date: '2026-02-17', saved_at: '2026-02-17T09:05:00' }
+  ];
+  assert.deepStrictEqual(ReadingStats.savedRatio(saved, reads), { saved: 1, read: 2, ratio: 0.5 });
+});
+
+test('saved cards without an edition date match reads from the day they were saved', () => {
+  const reads = [{ date: '2026-02-16', id: 'holy-shit-001', type: 'holy_shit' }];
+  assert.strictEqual(ReadingStats.savedRatio([{ id: 'holy-shit-001', saved_at: '2026-02-16T12:00:00' }], reads).saved, 1);
+  assert.strictEqual(ReadingStats.savedRatio([{ id: 'holy-shit-001', saved_at: '2026-02-17T12:00:00' }], reads).saved, 0);
+});
+
+test('days opened without reading neither extend a streak nor light up the heatmap', () => {
+  const days = [
+    { date: '2026-02-17', visits: 1, cards_read: 2 },
+    { date: '2026-02-18', visits: 1, cards_read: 0 },
+    { date: '2026-02-19', visits: 1, cards_read: 0 },
+    { date: '2026-02-20', visits: 1, cards_read: 1 }
+  ];
+  const stats = ReadingStats.summarize({ days, reads: [], saved: [], today: '2026-02-20' });
+  assert.strictEqual(stats.streaks.current, 1);
+  assert.strictEqual(stats.streaks.longest, 1);
+  assert.strictEqual(stats.daysRead, 2);
+  const cells = new Map(stats.heatmap.map((cell) => [cell.date, cell]));
+  assert.strictEqual(cells.get('2026-02-18').level, 0);
+  assert.strictEqual(cells.get('2026-02-17').level, 2);
+
+  // Opened today but nothing read yet: yesterday's streak is still alive
+  const today = ReadingStats.streaks(ReadingStats.readDays([
+    { date: '2026-02-19', visits: 1, cards_read: 1 },
+    { date: '2026-02-20', visits: 1, cards_read: 0 }
+  ]), '2026-02-20');
+  assert.strictEqual(today.current, 1);
+});
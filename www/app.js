@@ -2,7 +2,9 @@
  * AI for Grandmas — Card Swipe App (v2)
  *
  * Features: card swiping, per-card share, double-tap save/bookmark,
- * dot progress indicators, onboarding, offline detection, streak tracking.
+ * dot progress indicators, onboarding, offline detection, streak tracking,
+ * reading stats, keyboard and screen reader support, read-aloud mode,
+ * display settings, localized UI and editions, in-app source reader.
  */
 
 (function () {
@@ -10,7 +12,12 @@
 
   // ── Config ──
   const DATA_URL = 'data/latest.json';
-  const STORAGE_KEY = 'afg_data';
+  const INDEX_URL = 'data/index.json';
+  const DATA_DIR = 'data/';
+  const READ_DWELL_MS = 1500; // On screen this long = read
+
+  // UI strings (see i18n.js)
+  const t = I18n.t;
 
   // ── DOM refs ──
   const loadingScreen = document.getElementById('loadingScreen');
@@ -22,41 +29,99 @@
   const installBanner = document.getElementById('installBanner');
   const installBtn = document.getElementById('installBtn');
   const installDismiss = document.getElementById('installDismiss');
+  const updateBanner = document.getElementById('updateBanner');
+  const updateBtn = document.getElementById('updateBtn');
+  const updateDismiss = document.getElementById('updateDismiss');
   const heartBurst = document.getElementById('heartBurst');
   const savedBtn = document.getElementById('savedBtn');
   const savedCount = document.getElementById('savedCount');
   const savedOverlay = document.getElementById('savedOverlay');
   const savedClose = document.getElementById('savedClose');
   const savedList = document.getElementById('savedList');
+  const savedSearch = document.getElementById('savedSearch');
+  const savedFilters = document.getElementById('savedFilters');
+  const savedSort = document.getElementById('savedSort');
+  const savedActions = document.getElementById('savedActions');
+  const savedImportFile = document.getElementById('savedImportFile');
+  const savedStatus = document.getElementById('savedStatus');
   const offlineBanner = document.getElementById('offlineBanner');
+  const archiveBtn = document.getElementById('archiveBtn');
+  const archiveOverlay = document.getElementById('archiveOverlay');
+  const archiveClose = document.getElementById('archiveClose');
+  const archiveList = document.getElementById('archiveList');
+  const editionBanner = document.getElementById('editionBanner');
+  const statsBtn = document.getElementById('statsBtn');
+  const statsOverlay = document.getElementById('statsOverlay');
+  const statsClose = document.getElementById('statsClose');
+  const statsBody = document.getElementById('statsBody');
+  const deckStatus = document.getElementById('deckStatus');
+  const readAloudBtn = document.getElementById('readAloudBtn');
+  const readAloudBar = document.getElementById('readAloudBar');
+  const readAloudPause = document.getElementById('readAloudPause');
+  const readAloudRate = document.getElementById('readAloudRate');
+  const readAloudStop = document.getElementById('readAloudStop');
+  const settingsBtn = document.getElementById('settingsBtn');
+  const settingsOverlay = document.getElementById('settingsOverlay');
+  const settingsClose = document.getElementById('settingsClose');
+  const settingsTextSize = document.getElementById('settingsTextSize');
+  const settingsTextSizeValue = document.getElementById('settingsTextSizeValue');
+  const settingsTheme = document.getElementById('settingsTheme');
+  const settingsContrast = document.getElementById('settingsContrast');
+  const settingsMotion = document.getElementById('settingsMotion');
+  const settingsLanguage = document.getElementById('settingsLanguage');
+  const settingsTypes = document.getElementById('settingsTypes');
+  const shareOverlay = document.getElementById('shareOverlay');
+  const shareClose = document.getElementById('shareClose');
+  const sharePreview = document.getElementById('sharePreview');
+  const sharePreset = document.getElementById('sharePreset');
+  const shareTheme = document.getElementById('shareTheme');
+  const shareFormat = document.getElementById('shareFormat');
+  const shareQualityRow = document.getElementById('shareQualityRow');
+  const shareQuality = document.getElementById('shareQuality');
+  const shareQualityValue = document.getElementById('shareQualityValue');
+  const shareImageBtn = document.getElementById('shareImageBtn');
+  const shareTextBtn = document.getElementById('shareTextBtn');
+  const readerOverlay = document.getElementById('readerOverlay');
+  const readerBack = document.getElementById('readerBack');
+  const readerTitle = document.getElementById('readerTitle');
+  const readerExternal = document.getElementById('readerExternal');
+  const readerFrame = document.getElementById('readerFrame');
 
   let swiper = null;
   let totalCards = 0;
-  let allCards = []; // Store for bookmark lookups
+  let allCards = []; // The deck on screen, after type preferences
+  let editionCards = []; // The whole edition
+  let hiddenCount = 0; // Cards of hidden types in the edition
+  let showHiddenCards = false; // "Show hidden cards" on the end card, for this session
   let isOffline = false;
-
-  // ── Storage helpers ──
+  let currentStreak = { current: 1, freezes: 0, freezeUsed: null }; // See ReadingStats.streaks()
+  let currentEdition = null; // { date, isLatest }
+  let latestEdition = null; // Raw latest.json (or its cached copy)
+  let savedView = { query: '', type: 'all', sort: 'newest' };
+  let readingAloud = false;
+  let settings = Settings.normalize(); // See settings.js; loaded in init()
+  let shareIndex = -1; // Card the share sheet is open for
+  let sharePreviewUrl = null;
+  let sharePreviewImage = null; // { blob, options } behind the preview, shared as is
+  let sharePreviewToken = 0; // Only the newest preview gets shown
+
+  // ── Storage helpers (see storage.js; Store.open() runs first in init) ──
   function getData() {
-    try {
-      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
-    } catch { return {}; }
+    return Store.getAll();
   }
 
   function setData(obj) {
-    const current = getData();
-    localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...current, ...obj }));
+    Store.set(obj);
   }
 
   // ── Saved/Bookmark helpers ──
   function getSavedCards() {
-    const data = getData();
-    return data.savedCards || [];
+    return Store.getSavedCards();
   }
 
   function saveCard(card) {
-    const saved = getSavedCards();
-    if (saved.find(c => c.id === card.id)) return false; // Already saved
-    saved.push({
+    if (isSaved(card)) return false;
+    Store.putSavedCard({
       id: card.id,
       type: card.type,
       emoji: card.emoji,
@@ -65,69 +130,383 @@
       body: card.body,
       source_url: card.source_url,
       source_name: card.source_name,
+      date: currentEdition ? currentEdition.date : null,
       saved_at: new Date().toISOString()
     });
-    setData({ savedCards: saved });
     updateSavedUI();
     return true;
   }
 
+  // By id and title: ids recur every day (see Store.isSaved)
+  function isSaved(card) {
+    return Store.isSaved(card);
+  }
+
+  function unsaveCard(card) {
+    if (!isSaved(card)) return false;
+    Store.deleteSavedCard(card);
+    updateSavedUI();
+    return true;
+  }
+
+  // Saved button stays visible when empty so a backup can be imported
   function updateSavedUI() {
     const saved = getSavedCards();
-    if (saved.length > 0) {
-      savedBtn.classList.remove('hidden');
-      savedCount.textContent = saved.length;
+    savedCount.textContent = saved.length;
+    savedCount.classList.toggle('hidden', saved.length === 0);
+    savedBtn.setAttribute('aria-label', t('topbar.saved', { count: saved.length }));
+
+    // Keep each card's Save button in step (cards can be unsaved from the overlay)
+    cardWrapper.querySelectorAll('.card[data-index]').forEach(el => {
+      const card = allCards[el.dataset.index];
+      const btn = el.querySelector('.card-save-btn');
+      if (card && btn) setSaveButton(btn, isSaved(card));
+    });
+  }
+
+  function setSaveButton(btn, saved) {
+    btn.classList.toggle('saved', saved);
+    btn.setAttribute('aria-pressed', String(saved));
+    btn.innerHTML = saved ? '&#9829;' : '&#9825;';
+  }
+
+  function toggleSave(index) {
+    const card = allCards[index];
+    if (!card) return;
+    if (isSaved(card)) {
+      unsaveCard(card);
+      showHeartBurst(false);
+      announce(t('card.unsaved'));
+    } else if (saveCard(card)) {
+      showHeartBurst(true);
+      announce(t('card.saved'));
+    }
+  }
+
+  window.toggleSave = toggleSave;
+
+  // Apply search, type filter and sort to the saved list
+  function filterSavedCards(saved) {
+    const words = savedView.query.toLowerCase().split(/\s+/).filter(Boolean);
+    const typeOrder = CardTypes.ids();
+
+    const matches = saved.filter(card => {
+      if (savedView.type !== 'all' && card.type !== savedView.type) return false;
+      const text = ((card.title || '') + ' ' + (card.body || '')).toLowerCase();
+      return words.every(word => text.includes(word));
+    });
+
+    const newestFirst = (a, b) => (b.saved_at || '').localeCompare(a.saved_at || '');
+    if (savedView.sort === 'oldest') {
+      matches.sort((a, b) => newestFirst(b, a));
+    } else if (savedView.sort === 'type') {
+      matches.sort((a, b) => (typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)) || newestFirst(a, b));
     } else {
-      savedBtn.classList.add('hidden');
+      matches.sort(newestFirst);
+    }
+    return matches;
+  }
+
+  // Type names in the UI language; edition-declared types keep their own label
+  function typeLabel(type) {
+    return t('type.' + type.id, {}, type.label);
+  }
+
+  function typeDescription(type) {
+    return t('type.' + type.id + '.description', {}, type.description || '');
+  }
+
+  function renderSavedFilters(saved) {
+    const chips = [{ type: 'all', label: t('saved.all'), count: saved.length }].concat(
+      CardTypes.list().map(type => ({
+        type: type.id,
+        label: typeLabel(type),
+        count: saved.filter(c => c.type === type.id).length
+      }))
+    );
+
+    savedFilters.innerHTML = chips.map(chip => `
+      <button class="saved-filter${savedView.type === chip.type ? ' active' : ''}" data-type="${escapeHtml(chip.type)}" aria-pressed="${savedView.type === chip.type}">
+        ${escapeHtml(chip.label)} <span class="saved-filter-count">${chip.count}</span>
+      </button>
+    `).join('');
+  }
+
+  // ── Export / import (see saved-export.js) ──
+  function exportSavedCards(format) {
+    const file = SavedExport.serialize(getSavedCards(), format);
+    downloadBlob(new Blob([file.text], { type: file.mime }), file.filename);
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 1000);
+  }
+
+  async function importSavedCards(file) {
+    try {
+      const incoming = SavedExport.parseImport(await file.text());
+      const result = SavedExport.merge(getSavedCards(), incoming);
+      result.added.forEach(card => Store.putSavedCard(card));
+      updateSavedUI();
+      renderSavedCards();
+      showSavedStatus(t('saved.imported', { count: result.added.length }) +
+        (result.skipped ? ' ' + t('saved.skipped', { count: result.skipped }) : ''));
+    } catch (e) {
+      showSavedStatus(e.message);
     }
   }
 
+  function showSavedStatus(message) {
+    savedStatus.textContent = message;
+    savedStatus.classList.remove('hidden');
+  }
+
+  function savedEmptyMessage(saved) {
+    if (saved.length === 0) return escapeHtml(t('saved.empty'));
+    if (savedView.query) return escapeHtml(t('saved.noMatch', { query: savedView.query }));
+    return escapeHtml(t('saved.noType', { type: typeLabel(CardTypes.get(savedView.type)) }));
+  }
+
   function renderSavedCards() {
     const saved = getSavedCards();
-    if (saved.length === 0) {
-      savedList.innerHTML = '<p class="saved-empty">No saved cards yet. Double-tap any card to save it.</p>';
+    renderSavedFilters(saved);
+
+    const visible = filterSavedCards(saved);
+    if (visible.length === 0) {
+      savedList.innerHTML = '<p class="saved-empty">' + savedEmptyMessage(saved) + '</p>';
       return;
     }
 
-    savedList.innerHTML = saved.map(card => `
+    savedList.innerHTML = visible.map(card => `
       <div class="saved-card">
-        <div class="saved-card-tag">${card.emoji} ${card.label}</div>
+        <button class="saved-card-remove" data-key="${escapeHtml(card.key)}" aria-label="${escapeHtml(t('saved.remove'))}">&times;</button>
+        <div class="saved-card-tag">${escapeHtml(card.emoji)} ${escapeHtml(card.label)}</div>
         <div class="saved-card-title">${escapeHtml(card.title)}</div>
         <div class="saved-card-body">${escapeHtml(card.body)}</div>
-        ${card.source_url ? `<a href="${escapeHtml(card.source_url)}" target="_blank" rel="noopener" style="display:inline-flex;align-items:center;gap:4px;margin-top:10px;font-size:13px;font-weight:700;color:#fff;background:var(--accent);text-decoration:none;padding:8px 16px;border-radius:20px;">Read more &rarr;</a>` : ''}
+        ${EditionCheck.isHttpUrl(card.source_url) ? `<a class="source-link" href="${escapeHtml(card.source_url)}" data-card-id="${escapeHtml(card.id)}" target="_blank" rel="noopener" style="display:inline-flex;align-items:center;gap:4px;margin-top:10px;font-size:13px;font-weight:700;color:#fff;background:var(--accent);text-decoration:none;padding:8px 16px;border-radius:20px;">${escapeHtml(t('card.readMore'))} &rarr;</a>` : ''}
       </div>
     `).join('');
   }
 
-  // ── Streak Logic ──
+  // ── Streak Logic (from the per-day history, see stats.js) ──
+  // Days are the reader's local calendar days
+  function todayKey() {
+    return ReadingStats.localDate();
+  }
+
   function updateStreak() {
-    const data = getData();
-    const today = new Date().toISOString().slice(0, 10);
+    const today = todayKey();
+    Store.logDay(today, 'visits');
+    return ReadingStats.streaks(ReadingStats.readDays(Store.getDays()), today);
+  }
+
+  // ── Read tracking ──
+  // A card counts as read once it has been on screen for READ_DWELL_MS;
+  // totalSwiped counts unique cards read, so swiping back doesn't inflate it.
+  let readTimer = null;
 
-    if (data.lastVisit === today) {
-      return data.streak || 1;
+  // Reads are per edition: card ids recur from one day to the next
+  function isCardRead(card) {
+    return Store.isRead(currentEdition && currentEdition.date, card.id);
+  }
+
+  function trackRead(card) {
+    clearTimeout(readTimer);
+    if (!card || isCardRead(card)) return;
+
+    var date = currentEdition && currentEdition.date;
+    readTimer = setTimeout(function () {
+      if (Store.markRead(card, date)) {
+        setData({ totalSwiped: (getData().totalSwiped || 0) + 1 });
+        Store.logDay(todayKey(), 'cards_read');
+        var dot = dotIndicators.querySelector('.dot[data-card-id="' + CSS.escape(card.id) + '"]');
+        if (dot) dot.classList.replace('unread', 'read');
+      }
+    }, READ_DWELL_MS);
+  }
+
+  function showStreak(streak) {
+    if (streak.current >= 2) {
+      streakBadge.classList.remove('hidden');
+      streakCountEl.textContent = t('streak.badge', { count: streak.current });
     }
+    if (streak.freezeUsed) {
+      streakBadge.classList.add('frozen');
+      streakBadge.title = t('streak.freezeUsed');
+      streakCountEl.textContent += ' \u2744\uFE0F';
+    }
+  }
+
+  // ── Stats screen ──
+  function renderStats() {
+    const today = todayKey();
+    const stats = ReadingStats.summarize({
+      days: Store.getDays(),
+      reads: Store.getReads(),
+      saved: getSavedCards(),
+      today: today
+    });
 
-    const yesterday = new Date(Date.now() - 86400000).toISOString().slice(0, 10);
-    let streak = 1;
+    const tiles = [
+      [stats.streaks.current, 'stats.streak'],
+      [stats.streaks.longest, 'stats.longest'],
+      [stats.daysRead, 'stats.days'],
+      [stats.cardsRead, 'stats.cards'],
+      [stats.streaks.freezes, 'stats.freezes'],
+      [stats.streaks.frozen.length, 'stats.frozen']
+    ].map(([value, key]) => `
+      <div class="stats-tile">
+        <div class="stats-number">${value}</div>
+        <div class="stats-label">${escapeHtml(t(key, { count: value }))}</div>
+      </div>
+    `).join('');
 
-    if (data.lastVisit === yesterday) {
-      streak = (data.streak || 1) + 1;
+    const cells = stats.heatmap.map(cell => {
+      const date = formatEditionDate(cell.date);
+      const title = cell.visited ? t('stats.dayRead', { date: date, count: cell.read })
+        : cell.frozen ? t('stats.dayFrozen', { date: date })
+        : date;
+      return `<span class="stats-day level-${cell.level}${cell.future ? ' future' : ''}${cell.frozen ? ' frozen' : ''}${cell.date === today ? ' today' : ''}" title="${escapeHtml(title)}"></span>`;
+    }).join('');
+
+    const most = stats.byType.length ? stats.byType[0].count : 0;
+    const types = stats.byType.map(row => {
+      const type = CardTypes.get(row.type);
+      return `
+        <div class="stats-type" style="${CardTypes.styleVars(row.type)}">
+          <span class="stats-type-label">${escapeHtml(type.emoji)} ${escapeHtml(typeLabel(type))}</span>
+          <span class="stats-type-bar"><span style="width:${Math.round(row.count / most * 100)}%"></span></span>
+          <span class="stats-type-count">${row.count}</span>
+        </div>
+      `;
+    }).join('');
+
+    const savedLine = stats.saved.read === 0
+      ? t('stats.savedNone')
+      : t('stats.savedRatio', { saved: stats.saved.saved, read: stats.saved.read, percent: Math.round(stats.saved.ratio * 100) });
+
+    statsBody.innerHTML = `
+      <div class="stats-tiles">${tiles}</div>
+      <h3 class="stats-heading">${escapeHtml(t('stats.weeks'))}</h3>
+      <div class="stats-heatmap">${cells}</div>
+      <h3 class="stats-heading">${escapeHtml(t('stats.byType'))}</h3>
+      ${types || '<p class="saved-empty">' + escapeHtml(t('stats.nothingRead')) + '</p>'}
+      <h3 class="stats-heading">${escapeHtml(t('stats.saved'))}</h3>
+      <p class="stats-saved">${escapeHtml(savedLine)}</p>
+    `;
+  }
+
+  // ── Settings (see settings.js) ──
+  function renderSettings() {
+    var sizeIndex = Settings.TEXT_SIZES.findIndex(function (size) { return size.id === settings.textSize; });
+    settingsTextSize.value = String(sizeIndex);
+    settingsTextSizeValue.textContent = t('settings.size.' + settings.textSize);
+    settingsTheme.value = settings.theme;
+    settingsContrast.checked = settings.highContrast;
+    settingsMotion.checked = Settings.prefersReducedMotion(settings);
+  }
+
+  // ── Language (see i18n.js) ──
+  function applyLocale() {
+    I18n.setLocale(I18n.resolve(settings.locale, navigator.languages || [navigator.language]));
+    document.documentElement.lang = I18n.locale();
+    document.documentElement.dir = I18n.dir();
+    I18n.translatePage(document);
+
+    settingsLanguage.innerHTML = [{ id: 'auto', name: t('settings.languageAuto') }].concat(I18n.locales())
+      .map(function (option) {
+        return '<option value="' + escapeHtml(option.id) + '">' + escapeHtml(option.name) + '</option>';
+      }).join('');
+    settingsLanguage.value = settings.locale;
+  }
+
+  async function changeLocale(locale) {
+    updateSettings({ locale: locale });
+    applyLocale();
+    renderSettings();
+    showStreak(currentStreak);
+    updateSavedUI();
+
+    // Today's cards come in the new language if there's an edition for it
+    if (!currentEdition || currentEdition.isLatest) {
+      await openLatestEdition();
+    } else {
+      var index = swiper ? swiper.activeIndex : 0;
+      renderDeck(editionCards, slideOffset() === 1);
+      if (swiper) swiper.slideTo(index, 0);
+      showEditionBanner();
     }
+    renderTypePrefs();
+  }
 
-    setData({ lastVisit: today, streak: streak });
-    return streak;
+  // ── Card type preferences (see Settings.arrangeDeck) ──
+  function renderTypePrefs() {
+    settingsTypes.innerHTML = CardTypes.list().map(function (type) {
+      var current = Settings.typePref(settings, type.id);
+      // The cookie closes the deck whatever happens, so it can't go first
+      var options = Settings.TYPE_PREFS.filter(function (pref) {
+        return type.id !== Settings.LAST_TYPE || pref !== 'priority';
+      }).map(function (pref) {
+        return '<option value="' + pref + '"' + (pref === current ? ' selected' : '') + '>' + escapeHtml(t('settings.pref.' + pref)) + '</option>';
+      }).join('');
+      return '<label class="settings-row">' +
+        '<span class="settings-label">' + escapeHtml(type.emoji) + ' ' + escapeHtml(typeLabel(type)) + '</span>' +
+        '<select data-type="' + escapeHtml(type.id) + '">' + options + '</select>' +
+      '</label>';
+    }).join('');
   }
 
-  function trackSwipe() {
-    const data = getData();
-    setData({ totalSwiped: (data.totalSwiped || 0) + 1 });
+  function updateTypePref(type, pref) {
+    var typePrefs = Object.assign({}, settings.typePrefs);
+    if (pref === 'show') {
+      delete typePrefs[type];
+    } else {
+      typePrefs[type] = pref;
+    }
+    updateSettings({ typePrefs: typePrefs });
+    rearrangeDeck();
   }
 
-  function showStreak(streak) {
-    if (streak >= 2) {
-      streakBadge.classList.remove('hidden');
-      streakCountEl.textContent = 'Day ' + streak;
+  // Re-apply preferences to the deck on screen, staying on the same card
+  function rearrangeDeck() {
+    if (!swiper) return;
+    var index = swiper.activeIndex;
+    var card = cardAtSlide(index);
+    var atEnd = !card && index > 0;
+    renderDeck(editionCards, slideOffset() === 1);
+
+    var newIndex = card ? allCards.indexOf(card) : -1;
+    if (newIndex >= 0) {
+      swiper.slideTo(newIndex + slideOffset(), 0);
+    } else if (atEnd) {
+      swiper.slideTo(cardWrapper.children.length - 1, 0);
+    }
+  }
+
+  window.toggleHiddenCards = function () {
+    showHiddenCards = !showHiddenCards;
+    rearrangeDeck();
+  };
+
+  function updateSettings(changes) {
+    var reducedBefore = Settings.prefersReducedMotion(settings);
+    settings = Object.assign({}, settings, changes);
+    setData({ settings: settings });
+    Settings.apply(settings);
+    renderSettings();
+
+    // The Swiper effect is fixed at creation, so rebuild in place
+    if (swiper && Settings.prefersReducedMotion(settings) !== reducedBefore) {
+      var index = swiper.activeIndex;
+      renderDeck(editionCards, slideOffset() === 1);
+      swiper.slideTo(index, 0);
     }
   }
 
@@ -155,23 +534,18 @@
 
   // ── Welcome Card (first visit only) ──
   function buildWelcomeCard() {
+    const pills = CardTypes.list().map(type =>
+      `<span class="welcome-type-pill card-tag" style="${CardTypes.styleVars(type.id)}" title="${escapeHtml(typeDescription(type))}">${escapeHtml(type.emoji)} ${escapeHtml(typeLabel(type))}</span>`
+    ).join('');
+
     return `
       <div class="swiper-slide">
         <div class="card card-welcome">
           <div class="card-content" style="display:flex;flex-direction:column;justify-content:center;padding:32px 28px;">
             <div class="welcome-emoji">&#129489;</div>
-            <div class="welcome-title">Welcome, honey</div>
-            <div class="welcome-body">
-              I'm your daily AI news digest. 5-8 cards, ~3 minutes, zero jargon. Swipe up to read, double-tap to save, and share anything worth talking about.
-            </div>
-            <div class="welcome-types">
-              <span class="welcome-type-pill card-tag" data-type="holy_shit">&#128293; BIG NEWS</span>
-              <span class="welcome-type-pill card-tag" data-type="quick_bite">&#9889; QUICK BITE</span>
-              <span class="welcome-type-pill card-tag" data-type="tool_drop">&#128295; TOOL DROP</span>
-              <span class="welcome-type-pill card-tag" data-type="try_this">&#127919; TRY THIS</span>
-              <span class="welcome-type-pill card-tag" data-type="bs_detector">&#128169; BS DETECTOR</span>
-              <span class="welcome-type-pill card-tag" data-type="cookie">&#127850; COOKIE</span>
-            </div>
+            <div class="welcome-title">${escapeHtml(t('welcome.title'))}</div>
+            <div class="welcome-body">${escapeHtml(t('welcome.body'))}</div>
+            <div class="welcome-types">${pills}</div>
           </div>
         </div>
       </div>
@@ -180,26 +554,30 @@
 
   // ── Build Card HTML ──
   function buildCardSlide(card, index) {
-    // Use AI-generated image if available, fall back to generative SVG
+    // Use AI-generated image if available, fall back to generative SVG (see showFallbackArt)
     const artHtml = card.image_url
-      ? '<img src="' + escapeHtml(card.image_url) + '" alt="" class="card-art-image" loading="lazy" onerror="this.parentElement.innerHTML=CardArt.generate(\'\',\'' + card.type + '\')">'
-      : CardArt.generate(card.title || '', card.type || 'quick_bite');
+      ? '<img src="' + escapeHtml(card.image_url) + '" alt="" class="card-art-image" loading="lazy">'
+      : CardArt.generate(card.title || '', card.type || 'quick_bite', { animated: !Settings.prefersReducedMotion(settings) });
 
-    // CTA: "Read More →" button linking to source, or muted source label
+    // CTA: "Read More →" button opening the source in the reader (see openSource)
+    const visited = card.source_url && Store.isVisited(card.source_url);
     const ctaHtml = card.source_url
-      ? '<a class="card-cta" href="' + escapeHtml(card.source_url) + '" target="_blank" rel="noopener">Read more</a>'
+      ? '<a class="card-cta source-link' + (visited ? ' visited' : '') + '" href="' + escapeHtml(card.source_url) + '" data-card-id="' + escapeHtml(card.id) + '" target="_blank" rel="noopener">' +
+          escapeHtml(t(visited ? 'card.readAgain' : 'card.readMore')) + '</a>'
       : '';
 
-    const shareBtn = '<button class="card-share-btn" onclick="window.shareCard(' + index + ')" aria-label="Share this card">&#x1F4E4;</button>';
+    const saved = isSaved(card);
+    const saveBtn = '<button class="card-share-btn card-save-btn' + (saved ? ' saved' : '') + '" onclick="window.toggleSave(' + index + ')" aria-pressed="' + saved + '" aria-label="' + escapeHtml(t('card.save')) + '">' + (saved ? '&#9829;' : '&#9825;') + '</button>';
+    const shareBtn = '<button class="card-share-btn" onclick="window.shareCard(' + index + ')" aria-label="' + escapeHtml(t('card.share')) + '">&#x1F4E4;</button>';
 
     return '<div class="swiper-slide">' +
-      '<div class="card" data-type="' + card.type + '" data-index="' + index + '">' +
+      '<div class="card" data-type="' + escapeHtml(card.type) + '" data-index="' + index + '" style="' + CardTypes.styleVars(card.type) + '">' +
         '<div class="card-art">' + artHtml + '</div>' +
         '<div class="card-content">' +
-          '<span class="card-tag" data-type="' + card.type + '">' + card.emoji + ' ' + card.label + '</span>' +
+          '<span class="card-tag" data-type="' + escapeHtml(card.type) + '">' + escapeHtml(card.emoji) + ' ' + escapeHtml(card.label) + '</span>' +
           '<h2 class="card-title">' + escapeHtml(card.title) + '</h2>' +
           '<p class="card-body">' + escapeHtml(card.body) + '</p>' +
-          '<div class="card-actions">' + ctaHtml + shareBtn + '</div>' +
+          '<div class="card-actions">' + ctaHtml + saveBtn + shareBtn + '</div>' +
         '</div>' +
       '</div>' +
     '</div>';
@@ -212,11 +590,16 @@
     return '<div class="swiper-slide">' +
       '<div class="card card-end">' +
         '<div class="end-emoji">&#127850;</div>' +
-        '<div class="end-title">That\'s your daily dose, honey</div>' +
-        '<div class="end-subtitle">You\'re all caught up. Go make something beautiful.</div>' +
-        (streak >= 2 ? '<div class="end-streak">&#128293; ' + streak + ' day streak!</div>' : '') +
-        '<div class="end-stats">' + totalSwiped + ' cards swiped total</div>' +
-        (navigator.share ? '<button class="share-btn" onclick="shareApp()">Share with a friend</button>' : '') +
+        '<div class="end-title">' + escapeHtml(t('end.title')) + '</div>' +
+        '<div class="end-subtitle">' + escapeHtml(t('end.subtitle')) + '</div>' +
+        (streak.current >= 2 ? '<div class="end-streak">&#128293; ' + escapeHtml(t('end.streak', { count: streak.current })) + '</div>' : '') +
+        (streak.freezeUsed ? '<div class="end-freeze">&#10052;&#65039; ' + escapeHtml(t('end.freeze')) + '</div>' : '') +
+        '<div class="end-stats">' + escapeHtml(t('end.total', { count: totalSwiped })) + '</div>' +
+        (hiddenCount > 0 && !showHiddenCards ? '<div class="end-stats">' + escapeHtml(t('end.hidden', { count: hiddenCount })) + '</div>' : '') +
+        (hiddenCount > 0 ? '<button class="hidden-btn" onclick="toggleHiddenCards()">' + escapeHtml(t(showHiddenCards ? 'end.hideHidden' : 'end.showHidden')) + '</button>' : '') +
+        (navigator.share ? '<button class="share-btn" onclick="shareApp()">' + escapeHtml(t('end.share')) + '</button>' : '') +
+        editionShareButtons() +
+        ('Notification' in window ? '<button class="notify-btn" onclick="toggleNotifications()">' + notifyLabel() + '</button>' : '') +
       '</div>' +
     '</div>';
   }
@@ -230,17 +613,30 @@
       .replace(/"/g, '&quot;');
   }
 
+  // An image that didn't load (offline and not in the image cache, or gone)
+  // becomes the same art the card would have had without one
+  function showFallbackArt(e) {
+    var img = e.target;
+    if (!img.classList || !img.classList.contains('card-art-image')) return;
+    var el = img.closest('.card[data-index]');
+    var card = el && allCards[el.dataset.index];
+    img.parentElement.innerHTML = CardArt.generate(card ? card.title || '' : '', card ? card.type : 'quick_bite', {
+      animated: !Settings.prefersReducedMotion(settings)
+    });
+  }
+
   // ── Dot Indicators ──
   function buildDots(cards, showWelcome) {
     let html = '';
     if (showWelcome) {
-      html += '<div class="dot type-welcome" data-index="0"></div>';
+      html += '<button class="dot type-welcome" data-index="0" aria-label="' + escapeHtml(t('deck.goWelcome')) + '"></button>';
     }
     const offset = showWelcome ? 1 : 0;
     cards.forEach(function (card, i) {
-      html += '<div class="dot type-' + card.type + '" data-index="' + (i + offset) + '"></div>';
+      var read = isCardRead(card);
+      html += '<button class="dot type-' + escapeHtml(card.type) + (read ? ' read' : ' unread') + '" data-index="' + (i + offset) + '" data-card-id="' + escapeHtml(card.id) + '" style="' + CardTypes.styleVars(card.type) + '" aria-label="' + escapeHtml(t('deck.goCard', { number: i + 1, title: card.title })) + '"></button>';
     });
-    html += '<div class="dot type-end" data-index="' + (cards.length + offset) + '"></div>';
+    html += '<button class="dot type-end" data-index="' + (cards.length + offset) + '" aria-label="' + escapeHtml(t('deck.goEnd')) + '"></button>';
     dotIndicators.innerHTML = html;
   }
 
@@ -249,92 +645,363 @@
     dots.forEach(function (dot, i) {
       if (i === index) {
         dot.classList.add('active');
+        dot.setAttribute('aria-current', 'true');
       } else {
         dot.classList.remove('active');
+        dot.removeAttribute('aria-current');
+      }
+    });
+
+    trackRead(cardAtSlide(index));
+  }
+
+  // ── Screen reader support ──
+  function announce(message) {
+    deckStatus.textContent = message;
+  }
+
+  function slideLabel(index) {
+    if (cardWrapper.children[index] && cardWrapper.children[index].querySelector('.card-welcome')) return t('deck.welcome');
+    var card = cardAtSlide(index);
+    if (!card) return t('deck.end');
+    return t('deck.card', { number: index - slideOffset() + 1, total: totalCards });
+  }
+
+  // Only the current slide is reachable by Tab and screen readers
+  function updateSlideAccess(index) {
+    var slides = cardWrapper.querySelectorAll('.swiper-slide');
+    var focusWasInDeck = cardWrapper.contains(document.activeElement);
+    slides.forEach(function (slide, i) {
+      slide.toggleAttribute('inert', i !== index);
+      slide.setAttribute('aria-hidden', String(i !== index));
+    });
+    if (focusWasInDeck && slides[index]) {
+      slides[index].querySelector('.card').focus({ preventScroll: true });
+    }
+  }
+
+  // ── Keyboard navigation ──
+  function handleDeckKeys(e) {
+    if (!swiper || e.altKey || e.ctrlKey || e.metaKey) return;
+    if (document.querySelector('.saved-overlay:not(.hidden)')) return;
+    if (e.target.closest('input, select, textarea')) return;
+    // Space and Enter on a button or link should still press it
+    if ((e.key === ' ' || e.key === 'Enter') && e.target.closest('button, a')) return;
+
+    var last = cardWrapper.children.length - 1;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowRight' || e.key === 'PageDown' || (e.key === ' ' && !e.shiftKey)) {
+      swiper.slideNext();
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowLeft' || e.key === 'PageUp' || (e.key === ' ' && e.shiftKey)) {
+      swiper.slidePrev();
+    } else if (e.key === 'Home') {
+      swiper.slideTo(0);
+    } else if (e.key === 'End') {
+      swiper.slideTo(last);
+    } else {
+      return;
+    }
+    e.preventDefault();
+  }
+
+  // Slide index ↔ card index (the welcome card shifts everything by one)
+  function slideOffset() {
+    return cardWrapper.querySelector('.card-welcome') ? 1 : 0;
+  }
+
+  function cardAtSlide(index) {
+    return allCards[index - slideOffset()] || null;
+  }
+
+  // Reopen today's edition at the first unread card (or the end card if all read)
+  function resumeReading() {
+    if (!swiper || !currentEdition || !currentEdition.isLatest) return;
+    var index = allCards.findIndex(function (c) { return !isCardRead(c); });
+    if (index === 0) return;
+    swiper.slideTo((index < 0 ? allCards.length : index) + slideOffset(), 0);
+  }
+
+  // ── Read to me (see read-aloud.js) ──
+  // Wrap the body's sentences in spans (in place, so pre-line paragraph
+  // breaks survive) and return what to speak: the title, then each sentence.
+  function prepareSpeech(slide, card) {
+    var body = slide.querySelector('.card-body');
+    var sentences = ReadAloud.splitSentences(card.body);
+
+    if (!body.dataset.sentences) {
+      var text = card.body || '';
+      var cursor = 0;
+      var html = '';
+      sentences.forEach(function (sentence, i) {
+        var at = text.indexOf(sentence, cursor);
+        if (at < 0) at = cursor;
+        html += escapeHtml(text.slice(cursor, at)) +
+          '<span class="speak-sentence" data-sentence="' + (i + 1) + '">' + escapeHtml(sentence) + '</span>';
+        cursor = Math.max(cursor, at + sentence.length);
+      });
+      body.innerHTML = html + escapeHtml(text.slice(cursor));
+      body.dataset.sentences = 'true';
+      slide.querySelector('.card-title').dataset.sentence = '0';
+    }
+    return [card.title].concat(sentences);
+  }
+
+  function highlightSentence(slide, index) {
+    clearHighlight();
+    var el = slide.querySelector('[data-sentence="' + index + '"]');
+    if (el) el.classList.add('speaking');
+  }
+
+  function clearHighlight() {
+    cardWrapper.querySelectorAll('.speaking').forEach(function (el) {
+      el.classList.remove('speaking');
+    });
+  }
+
+  function readSlide(index) {
+    var slide = cardWrapper.children[index];
+    var card = cardAtSlide(index);
+    clearHighlight();
+
+    if (!card) {
+      // Skip past the welcome card; the end card means we're done
+      if (slide && slide.querySelector('.card-welcome')) {
+        swiper.slideNext();
+      } else {
+        stopReadingAloud();
+      }
+      return;
+    }
+
+    ReadAloud.speak(prepareSpeech(slide, card), {
+      onSentence: function (i) { highlightSentence(slide, i); },
+      onDone: function () {
+        clearHighlight();
+        swiper.slideNext();
       }
     });
+  }
+
+  function startReadingAloud() {
+    if (!swiper) return;
+    readingAloud = true;
+    readAloudBtn.setAttribute('aria-pressed', 'true');
+    readAloudBar.classList.remove('hidden');
+    setReadAloudPaused(false);
+    readSlide(swiper.activeIndex);
+  }
+
+  function stopReadingAloud() {
+    readingAloud = false;
+    ReadAloud.stop();
+    clearHighlight();
+    readAloudBtn.setAttribute('aria-pressed', 'false');
+    readAloudBar.classList.add('hidden');
+  }
+
+  // Called from init(), once storage is open
+  function restoreReadAloudRate() {
+    var rate = getData().readAloudRate || 1;
+    readAloudRate.value = String(rate);
+    ReadAloud.setRate(rate);
+  }
 
-    // Track swipes
-    if (index > 0) {
-      trackSwipe();
+  function setReadAloudPaused(paused) {
+    if (paused) {
+      ReadAloud.pause();
+    } else {
+      ReadAloud.resume();
     }
+    readAloudPause.innerHTML = paused ? '&#9654;' : '&#10074;&#10074;';
+    readAloudPause.setAttribute('aria-label', t(paused ? 'readAloud.resume' : 'readAloud.pause'));
   }
 
-  // ── Double-tap to save ──
+  // ── Double-tap to save (again to unsave) ──
   let lastTap = 0;
   function handleDoubleTap(e) {
     const now = Date.now();
     const card = e.target.closest('.card[data-index]');
     if (!card) return;
 
+    // Taps on buttons and links are theirs (the Save button saves on its own)
+    if (e.target.closest('button, a')) return;
+
     if (now - lastTap < 300) {
       // Double tap detected
-      const index = parseInt(card.dataset.index);
-      if (index >= 0 && index < allCards.length) {
-        const saved = saveCard(allCards[index]);
-        if (saved) {
-          // Show heart animation
-          heartBurst.classList.remove('hidden', 'animate');
-          // Force reflow
-          void heartBurst.offsetWidth;
-          heartBurst.classList.add('animate');
-          setTimeout(function () {
-            heartBurst.classList.remove('animate');
-            heartBurst.classList.add('hidden');
-          }, 700);
-        }
-      }
+      toggleSave(parseInt(card.dataset.index));
+      lastTap = 0; // A third tap starts a new double-tap
+      return;
     }
     lastTap = now;
   }
 
-  // ── Share individual card (as branded image) ──
+  function showHeartBurst(saved) {
+    heartBurst.innerHTML = saved ? '&#9829;' : '&#9825;';
+    heartBurst.classList.toggle('unsave', !saved);
+    heartBurst.classList.remove('hidden', 'animate');
+    // Force reflow
+    void heartBurst.offsetWidth;
+    heartBurst.classList.add('animate');
+    setTimeout(function () {
+      heartBurst.classList.remove('animate');
+      heartBurst.classList.add('hidden');
+    }, 700);
+  }
+
+  // ── Share individual card (as branded image, see card-image.js) ──
   window.shareCard = async function (index) {
     if (index < 0 || index >= allCards.length) return;
-    var card = allCards[index];
-    var btn = document.querySelector('.card[data-index="' + index + '"] .card-share-btn');
-
-    // Show generating state
-    if (btn) {
-      btn.textContent = '...';
-      btn.disabled = true;
+    if (typeof CardImage === 'undefined') {
+      await shareCardText(allCards[index]);
+      return;
     }
+    shareIndex = index;
+    var options = CardImage.normalize(getData().shareImage);
+    sharePreset.value = options.preset;
+    shareTheme.value = options.theme;
+    shareFormat.value = options.format;
+    shareQuality.value = String(Math.round(options.quality * 100));
+    updateShareControls();
+    openOverlay(shareOverlay);
+  };
+
+  async function shareCardText(card) {
+    var text = card.emoji + ' ' + card.title + '\n\n' + card.body;
+    if (card.source_url) text += '\n\n' + card.source_url;
+    text += '\n\n— ' + t('app.name');
 
     try {
-      // Try sharing as an image first
-      if (typeof CardImage !== 'undefined') {
-        await CardImage.shareCardImage(card);
+      if (navigator.share) {
+        await navigator.share({ title: card.title, text: text, url: cardShareUrl(card) || card.source_url || window.location.href });
       } else {
-        // Fallback: text share
-        var text = card.emoji + ' ' + card.title + '\n\n' + card.body;
-        if (card.source_url) text += '\n\n' + card.source_url;
-        text += '\n\n— AI for Grandmas';
-
-        if (navigator.share) {
-          await navigator.share({ title: card.title, text: text, url: card.source_url || window.location.href });
-        } else {
-          await navigator.clipboard.writeText(text);
-        }
+        await navigator.clipboard.writeText(text);
       }
     } catch (e) {
       // User cancelled or error — silently handle
       console.log('Share error:', e);
     }
+  }
+
+  function shareOptions() {
+    return CardImage.normalize({
+      preset: sharePreset.value,
+      theme: shareTheme.value,
+      format: shareFormat.value,
+      quality: Number(shareQuality.value) / 100
+    });
+  }
+
+  function updateShareControls() {
+    // PNG is lossless, so quality only applies to JPEG and WebP
+    shareQualityRow.classList.toggle('hidden', shareFormat.value === 'png');
+    shareQualityValue.textContent = shareQuality.value + '%';
+    renderSharePreview();
+  }
+
+  async function renderSharePreview() {
+    var token = ++sharePreviewToken;
+    var options = shareOptions();
+    try {
+      var blob = await CardImage.generate(allCards[shareIndex], options);
+      if (token !== sharePreviewToken) return;
+      clearSharePreview();
+      sharePreviewImage = { blob: blob, options: JSON.stringify(options) };
+      sharePreviewUrl = URL.createObjectURL(blob);
+      sharePreview.src = sharePreviewUrl;
+    } catch (e) {
+      console.log('Share preview failed:', e);
+    }
+  }
+
+  function clearSharePreview() {
+    if (sharePreviewUrl) URL.revokeObjectURL(sharePreviewUrl);
+    sharePreviewUrl = null;
+    sharePreviewImage = null;
+    sharePreview.removeAttribute('src');
+  }
+
+  // ── Share the whole edition as a carousel (see edition-export.js) ──
+  // Slides the share button has rendered, waiting for the tap that shares them
+  let preparedSlides = null;
+
+  function editionShareButtons() {
+    preparedSlides = null;
+    if (typeof CardImage === 'undefined' || editionCards.length === 0) return '';
+    if (EditionExport.canShareFiles()) {
+      return '<button class="edition-btn" onclick="shareEdition(\'share\', this)">' + escapeHtml(t('end.shareEdition')) + '</button>';
+    }
+    return '<div class="edition-btns">' +
+      '<button class="edition-btn" onclick="shareEdition(\'zip\', this)">' + escapeHtml(t('end.downloadZip')) + '</button>' +
+      '<button class="edition-btn" onclick="shareEdition(\'pdf\', this)">' + escapeHtml(t('end.downloadPdf')) + '</button>' +
+    '</div>';
+  }
+
+  // mode: 'share' (multi-file share sheet), 'zip' or 'pdf'
+  // Sharing takes two taps: rendering every slide outlasts the tap's user
+  // activation, and navigator.share() without one is refused. The first tap
+  // renders, the second ("Share 9 slides") calls share() straight away.
+  window.shareEdition = async function (mode, btn) {
+    var date = currentEdition && currentEdition.date;
+    if (mode === 'share' && preparedSlides) {
+      shareSlides(preparedSlides, date);
+      return;
+    }
+
+    var label = btn ? btn.textContent : '';
+    // PDFs embed JPEGs as they are, so that's what the slides are drawn as
+    var options = Object.assign({}, getData().shareImage, mode === 'pdf' ? { format: 'jpeg' } : {});
+
+    if (btn) btn.disabled = true;
+    try {
+      var files = await EditionExport.renderSlides(editionCards, formatEditionDate(date || todayKey()), options, function (done, total) {
+        if (btn) btn.textContent = t('end.rendering', { done: done, total: total });
+      });
+
+      if (mode === 'share') {
+        preparedSlides = files;
+        label = t('end.shareSlides', { count: files.length });
+      } else if (mode === 'pdf') {
+        var preset = CardImage.PRESETS[EditionExport.PRESET];
+        downloadBlob(await EditionExport.toPdf(files, preset.width, preset.height), EditionExport.fileName(date, 'pdf'));
+      } else {
+        downloadBlob(await EditionExport.toZip(files), EditionExport.fileName(date, 'zip'));
+      }
+    } catch (e) {
+      // Rendering failed — leave the button as it was
+      console.log('Edition share error:', e);
+    }
 
-    // Reset button
     if (btn) {
-      btn.innerHTML = '&#x1F4E4;';
+      btn.textContent = label;
       btn.disabled = false;
     }
   };
 
+  // No await before share(), or the tap's activation could lapse
+  function shareSlides(files, date) {
+    navigator.share({
+      title: t('carousel.heading'),
+      text: t('app.name') + ' — ' + formatEditionDate(date || todayKey()),
+      files: files
+    }).catch(function (e) {
+      // Refused anyway (no activation left, or no sharing allowed): download them instead
+      if (e && e.name === 'NotAllowedError') {
+        return EditionExport.toZip(files).then(function (zip) {
+          downloadBlob(zip, EditionExport.fileName(date, 'zip'));
+        });
+      }
+      // User cancelled
+    }).catch(function (e) {
+      console.log('Edition share error:', e);
+    });
+  }
+
   // ── Share App ──
   window.shareApp = async function () {
     if (navigator.share) {
       try {
         await navigator.share({
-          title: 'AI for Grandmas',
-          text: 'Your daily AI news in 5 minutes \u2014 explained by a grandma who actually gets it.',
+          title: t('app.name'),
+          text: t('app.share'),
           url: window.location.href
         });
       } catch (e) {
@@ -349,11 +1016,12 @@
     isOffline = false;
 
     try {
-      var response = await fetch(DATA_URL, { cache: 'no-cache' });
-      if (response.ok) {
-        var data = await response.json();
-        cards = data.cards;
-        setData({ cachedCards: data });
+      var data = await fetchLocalizedEdition();
+      if (data) {
+        cards = checkedCards(data);
+        currentEdition = { date: data.date || null, isLatest: true };
+        latestEdition = data;
+        Store.putEdition(data);
       }
     } catch (e) {
       console.log('Network fetch failed, trying cache...', e);
@@ -362,9 +1030,11 @@
 
     // Fallback to cached cards
     if (!cards) {
-      var stored = getData();
-      if (stored.cachedCards && stored.cachedCards.cards) {
-        cards = stored.cachedCards.cards;
+      var cached = Store.getLatestEdition(I18n.locale());
+      if (cached && cached.cards) {
+        cards = checkedCards(cached);
+        currentEdition = { date: cached.date || null, isLatest: true };
+        latestEdition = cached;
         isOffline = true;
         console.log('Using cached cards');
       }
@@ -373,6 +1043,7 @@
     // Fallback to demo cards
     if (!cards || cards.length === 0) {
       cards = getDemoCards();
+      currentEdition = { date: null, isLatest: true };
     }
 
     // Show offline banner if using cached data
@@ -383,15 +1054,141 @@
     return cards;
   }
 
+  // Today's edition in the reader's language, or the English one when there
+  // isn't a translation (yet)
+  async function fetchLocalizedEdition() {
+    var localized = I18n.editionUrl(DATA_URL);
+    if (localized) {
+      try {
+        var response = await fetch(localized, { cache: 'no-cache' });
+        if (response.ok) {
+          var data = await response.json();
+          if (Array.isArray(data.cards) && data.cards.length > 0) return data;
+        }
+      } catch (e) {
+        console.log('No ' + I18n.locale() + ' edition, using English', e);
+      }
+    }
+    var english = await fetch(DATA_URL, { cache: 'no-cache' });
+    return english.ok ? english.json() : null;
+  }
+
+  // ── Edition checks ──
+  // Drop cards that would break the deck (unknown type, missing title, bad URL...)
+  function checkedCards(edition) {
+    CardTypes.registerAll(edition.types);
+    var result = EditionCheck.checkEdition(edition);
+    if (result.errors.length > 0) {
+      console.warn('Edition ' + edition.date + ' has problems:', result.errors);
+    }
+    return result.cards;
+  }
+
+  // ── Archive ──
+  async function loadArchiveIndex() {
+    try {
+      var response = await fetch(INDEX_URL, { cache: 'no-cache' });
+      if (response.ok) return await response.json();
+    } catch (e) {
+      console.log('Archive index fetch failed:', e);
+    }
+    return null;
+  }
+
+  async function loadEdition(path) {
+    var response = await fetch(DATA_DIR + path);
+    if (!response.ok) throw new Error('Edition fetch failed: ' + response.status);
+    return response.json();
+  }
+
+  function formatEditionDate(date) {
+    if (!date) return t('archive.today');
+    return new Date(date + 'T00:00:00').toLocaleDateString(I18n.locale(), {
+      weekday: 'short', month: 'short', day: 'numeric', year: 'numeric'
+    });
+  }
+
+  // editions/<date>.json → editions/<date>.es.json when the index lists a translation
+  function localizedPath(edition) {
+    if (!(edition.locales || []).includes(I18n.locale())) return edition.path;
+    return edition.path.replace(/\.json$/, '.' + I18n.locale() + '.json');
+  }
+
+  async function renderArchive() {
+    archiveList.innerHTML = '<p class="saved-empty">' + escapeHtml(t('archive.loading')) + '</p>';
+    var index = await loadArchiveIndex();
+    var editions = (index && index.editions) || [];
+
+    if (editions.length === 0) {
+      archiveList.innerHTML = '<p class="saved-empty">' + escapeHtml(t('archive.empty')) + '</p>';
+      return;
+    }
+
+    archiveList.innerHTML = editions.map(function (edition) {
+      var isLatest = edition.date === index.latest;
+      var isOpen = currentEdition && currentEdition.date === edition.date;
+      return '<button class="archive-item' + (isOpen ? ' current' : '') + '" data-date="' + escapeHtml(edition.date) + '" data-path="' + escapeHtml(localizedPath(edition)) + '"' + (isLatest ? ' data-latest="true"' : '') + '>' +
+        '<div class="archive-item-date">' + escapeHtml(formatEditionDate(edition.date)) + '</div>' +
+        '<div class="archive-item-meta">' + escapeHtml(t('archive.cards', { count: edition.card_count })) + (isLatest ? ' &middot; ' + escapeHtml(t('archive.today')) : '') + '</div>' +
+        (edition.lead ? '<div class="archive-item-lead">' + escapeHtml(edition.lead) + '</div>' : '') +
+      '</button>';
+    }).join('');
+  }
+
+  async function openArchivedEdition(item) {
+    if (item.dataset.latest) {
+      await openLatestEdition();
+      closeOverlay(archiveOverlay);
+      return;
+    }
+
+    try {
+      await showArchivedEdition(item.dataset.path, item.dataset.date);
+      closeOverlay(archiveOverlay);
+    } catch (e) {
+      console.log('Could not open edition:', e);
+      item.querySelector('.archive-item-meta').textContent = t('archive.offline');
+    }
+  }
+
+  async function showArchivedEdition(path, date) {
+    var edition = await loadEdition(path);
+    currentEdition = { date: edition.date || date, isLatest: false };
+    renderDeck(checkedCards(edition), false);
+    showEditionBanner();
+  }
+
+  async function openLatestEdition() {
+    var cards = await loadCards();
+    renderDeck(cards, false);
+    showEditionBanner();
+  }
+
+  function showEditionBanner() {
+    if (currentEdition && !currentEdition.isLatest) {
+      editionBanner.innerHTML = escapeHtml(t('archive.banner', { date: formatEditionDate(currentEdition.date) })) +
+        ' &middot; <u>' + escapeHtml(t('archive.back')) + '</u>';
+      editionBanner.classList.remove('hidden');
+      offlineBanner.classList.add('hidden');
+    } else {
+      editionBanner.classList.add('hidden');
+    }
+  }
+
   // ── Demo Cards ──
   function getDemoCards() {
-    return [
-      { id: 'holy-shit-demo', type: 'holy_shit', emoji: '\uD83D\uDD25', label: 'HOLY SHIT', title: 'ChatGPT Now Makes Full Apps From a Single Sentence', body: 'OpenAI just shipped something wild, honey. You describe what you want and it builds the whole thing. Frontend, backend, database.\n\nIs it perfect? Hell no. But it\'s a working prototype in 30 seconds that would\'ve taken a developer a week.', source_url: 'https://openai.com', source_name: 'OpenAI Blog' },
-      { id: 'quick-bite-1', type: 'quick_bite', emoji: '\u26A1', label: 'QUICK BITE', title: 'Midjourney V7 Actually Understands Hands Now', body: 'After three years of giving everyone six fingers, Midjourney finally figured out human anatomy.\n\nV7 renders hands, feet, and text with actual accuracy. It only took them roughly a billion images to learn what every kindergartner already knows.', source_url: 'https://midjourney.com', source_name: 'Midjourney' },
-      { id: 'tool-drop-demo', type: 'tool_drop', emoji: '\uD83D\uDD27', label: 'TOOL DROP', title: 'Kling 2.0 \u2014 Video Generation That Doesn\'t Look Drunk', body: 'Kling\'s new model generates 10-second clips with consistent physics. Objects don\'t melt, people don\'t grow extra limbs.\n\nTry this: upload a product photo and ask for a "cinematic reveal." The results are genuinely usable for social media.', source_url: 'https://kling.ai', source_name: 'Kling AI' },
-      { id: 'try-this-demo', type: 'try_this', emoji: '\uD83C\uDFAF', label: 'TRY THIS', title: 'The "Explain It to a 5-Year-Old" Prompt Hack', body: 'Next time an AI gives you a wall of jargon, add this:\n\n"Now explain it like I\'m five, then like I\'m a professional, then give me the one sentence that matters."\n\nThree levels of understanding in one response. You\'re welcome, honey.', source_url: null, source_name: null },
-      { id: 'cookie-demo', type: 'cookie', emoji: '\uD83C\uDF6A', label: 'COOKIE', title: 'Grandma\'s Closing Thought', body: 'The best AI tool is the one that gives you more time to do the thing you actually love. Everything else is just noise, sweetheart.', source_url: null, source_name: null }
+    var cards = [
+      { id: 'holy-shit-demo', type: 'holy_shit', title: 'ChatGPT Now Makes Full Apps From a Single Sentence', body: 'OpenAI just shipped something wild, honey. You describe what you want and it builds the whole thing. Frontend, backend, database.\n\nIs it perfect? Hell no. But it\'s a working prototype in 30 seconds that would\'ve taken a developer a week.', source_url: 'https://openai.com', source_name: 'OpenAI Blog' },
+      { id: 'quick-bite-1', type: 'quick_bite', title: 'Midjourney V7 Actually Understands Hands Now', body: 'After three years of giving everyone six fingers, Midjourney finally figured out human anatomy.\n\nV7 renders hands, feet, and text with actual accuracy. It only took them roughly a billion images to learn what every kindergartner already knows.', source_url: 'https://midjourney.com', source_name: 'Midjourney' },
+      { id: 'tool-drop-demo', type: 'tool_drop', title: 'Kling 2.0 \u2014 Video Generation That Doesn\'t Look Drunk', body: 'Kling\'s new model generates 10-second clips with consistent physics. Objects don\'t melt, people don\'t grow extra limbs.\n\nTry this: upload a product photo and ask for a "cinematic reveal." The results are genuinely usable for social media.', source_url: 'https://kling.ai', source_name: 'Kling AI' },
+      { id: 'try-this-demo', type: 'try_this', title: 'The "Explain It to a 5-Year-Old" Prompt Hack', body: 'Next time an AI gives you a wall of jargon, add this:\n\n"Now explain it like I\'m five, then like I\'m a professional, then give me the one sentence that matters."\n\nThree levels of understanding in one response. You\'re welcome, honey.', source_url: null, source_name: null },
+      { id: 'cookie-demo', type: 'cookie', title: 'Grandma\'s Closing Thought', body: 'The best AI tool is the one that gives you more time to do the thing you actually love. Everything else is just noise, sweetheart.', source_url: null, source_name: null }
     ];
+    // Emoji and label come from the type registry
+    return cards.map(function (card) {
+      var type = CardTypes.get(card.type);
+      return Object.assign({ emoji: type.emoji, label: type.label }, card);
+    });
   }
 
   // ── PWA Install ──
@@ -423,88 +1220,430 @@
     installBanner.classList.remove('visible');
   });
 
+  // ── Overlays: focus moves in on open, stays inside, and returns on close ──
+  // The reader sheet can open on top of Saved, so each overlay keeps its own opener
+  const overlayOpeners = new Map();
+
+  function openOverlay(overlay) {
+    overlayOpeners.set(overlay, document.activeElement);
+    overlay.classList.remove('hidden');
+    overlay.querySelector('.saved-close').focus();
+  }
+
+  function closeOverlay(overlay) {
+    overlay.classList.add('hidden');
+    if (overlay === readerOverlay) readerFrame.src = 'about:blank'; // Stop any audio/video
+    if (overlay === shareOverlay) {
+      sharePreviewToken++; // Drop a preview still being drawn
+      clearSharePreview();
+    }
+    var opener = overlayOpeners.get(overlay);
+    if (opener && document.contains(opener)) opener.focus();
+    overlayOpeners.delete(overlay);
+  }
+
+  function focusableIn(el) {
+    return Array.from(el.querySelectorAll('button, a[href], input, select, textarea, [tabindex]:not([tabindex="-1"])'))
+      .filter(node => !node.disabled && !node.hidden);
+  }
+
+  document.addEventListener('keydown', function (e) {
+    // Topmost open overlay (later in the page draws on top)
+    var open = document.querySelectorAll('.saved-overlay:not(.hidden)');
+    var overlay = open[open.length - 1];
+    if (!overlay) return;
+
+    if (e.key === 'Escape') {
+      closeOverlay(overlay);
+    } else if (e.key === 'Tab') {
+      var nodes = focusableIn(overlay);
+      if (nodes.length === 0) return;
+      var first = nodes[0];
+      var last = nodes[nodes.length - 1];
+      if (e.shiftKey && (document.activeElement === first || !overlay.contains(document.activeElement))) {
+        last.focus();
+        e.preventDefault();
+      } else if (!e.shiftKey && (document.activeElement === last || !overlay.contains(document.activeElement))) {
+        first.focus();
+        e.preventDefault();
+      }
+    }
+  });
+
+  document.addEventListener('keydown', handleDeckKeys);
+
+  // Image errors don't bubble, so listen in the capture phase
+  cardWrapper.addEventListener('error', showFallbackArt, true);
+
+  dotIndicators.addEventListener('click', function (e) {
+    var dot = e.target.closest('.dot');
+    if (dot && swiper) swiper.slideTo(parseInt(dot.dataset.index));
+  });
+
+  // ── Source reader (see source-reader.js) ──
+  function openSource(url, cardId) {
+    if (!SourceReader.canOpen(url)) return false;
+    if (Store.markVisited(url, cardId)) showVisited(url);
+
+    if (SourceReader.isNative()) {
+      var accent = cardId && allCards.find(function (c) { return c.id === cardId; });
+      SourceReader.openNative(url, accent ? CardTypes.get(accent.type).colors.accent : undefined)
+        .catch(function (e) { console.log('In-app browser failed:', e); });
+      return true;
+    }
+
+    readerTitle.textContent = SourceReader.siteName(url);
+    readerFrame.title = SourceReader.siteName(url);
+    readerExternal.href = url;
+    readerFrame.src = url;
+    openOverlay(readerOverlay);
+    return true;
+  }
+
+  function showVisited(url) {
+    document.querySelectorAll('.card-cta.source-link').forEach(function (link) {
+      if (link.getAttribute('href') !== url) return;
+      link.classList.add('visited');
+      link.textContent = t('card.readAgain');
+    });
+  }
+
+  // Plain clicks on source links open the reader; modified clicks are the browser's
+  document.addEventListener('click', function (e) {
+    var link = e.target.closest('a.source-link');
+    if (!link || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    if (openSource(link.getAttribute('href'), link.dataset.cardId)) e.preventDefault();
+  });
+
+  readerBack.addEventListener('click', function () {
+    closeOverlay(readerOverlay);
+  });
+
+  // Leaving for the real browser closes the sheet behind it
+  readerExternal.addEventListener('click', function () {
+    closeOverlay(readerOverlay);
+  });
+
   // ── Saved cards UI ──
   savedBtn.addEventListener('click', function () {
+    savedStatus.classList.add('hidden');
     renderSavedCards();
-    savedOverlay.classList.remove('hidden');
+    openOverlay(savedOverlay);
   });
 
   savedClose.addEventListener('click', function () {
-    savedOverlay.classList.add('hidden');
+    closeOverlay(savedOverlay);
+  });
+
+  savedList.addEventListener('click', function (e) {
+    var remove = e.target.closest('.saved-card-remove');
+    if (!remove) return;
+    var card = getSavedCards().find(function (c) { return c.key === remove.dataset.key; });
+    if (card) unsaveCard(card);
+    renderSavedCards();
+  });
+
+  savedSearch.addEventListener('input', function () {
+    savedView.query = savedSearch.value.trim();
+    renderSavedCards();
+  });
+
+  savedFilters.addEventListener('click', function (e) {
+    var chip = e.target.closest('.saved-filter');
+    if (!chip) return;
+    savedView.type = chip.dataset.type;
+    renderSavedCards();
+  });
+
+  savedSort.addEventListener('change', function () {
+    savedView.sort = savedSort.value;
+    renderSavedCards();
+  });
+
+  savedActions.addEventListener('click', function (e) {
+    var action = e.target.closest('.saved-action');
+    if (!action) return;
+    if (action.dataset.format) {
+      exportSavedCards(action.dataset.format);
+    } else {
+      savedImportFile.click();
+    }
+  });
+
+  savedImportFile.addEventListener('change', function () {
+    if (savedImportFile.files[0]) importSavedCards(savedImportFile.files[0]);
+    savedImportFile.value = '';
+  });
+
+  // ── Archive UI ──
+  archiveBtn.addEventListener('click', function () {
+    renderArchive();
+    openOverlay(archiveOverlay);
+  });
+
+  archiveClose.addEventListener('click', function () {
+    closeOverlay(archiveOverlay);
+  });
+
+  archiveList.addEventListener('click', function (e) {
+    var item = e.target.closest('.archive-item');
+    if (item) openArchivedEdition(item);
+  });
+
+  editionBanner.addEventListener('click', openLatestEdition);
+
+  // ── Read to me UI (hidden where speech synthesis isn't available) ──
+  if (ReadAloud.isSupported()) {
+    readAloudBtn.classList.remove('hidden');
+    readAloudRate.innerHTML = ReadAloud.RATES.map(function (rate) {
+      return '<option value="' + rate + '">' + rate + '&times;</option>';
+    }).join('');
+  }
+
+  readAloudBtn.addEventListener('click', function () {
+    if (readingAloud) {
+      stopReadingAloud();
+    } else {
+      startReadingAloud();
+    }
+  });
+
+  readAloudPause.addEventListener('click', function () {
+    setReadAloudPaused(!ReadAloud.isPaused());
+  });
+
+  readAloudRate.addEventListener('change', function () {
+    var rate = Number(readAloudRate.value);
+    ReadAloud.setRate(rate);
+    setData({ readAloudRate: rate });
+  });
+
+  readAloudStop.addEventListener('click', stopReadingAloud);
+
+  // ── Settings UI ──
+  settingsBtn.addEventListener('click', function () {
+    renderSettings();
+    renderTypePrefs();
+    openOverlay(settingsOverlay);
+  });
+
+  settingsClose.addEventListener('click', function () {
+    closeOverlay(settingsOverlay);
+  });
+
+  settingsTextSize.addEventListener('input', function () {
+    updateSettings({ textSize: Settings.TEXT_SIZES[Number(settingsTextSize.value)].id });
+  });
+
+  settingsTheme.addEventListener('change', function () {
+    updateSettings({ theme: settingsTheme.value });
+  });
+
+  settingsContrast.addEventListener('change', function () {
+    updateSettings({ highContrast: settingsContrast.checked });
+  });
+
+  settingsMotion.addEventListener('change', function () {
+    updateSettings({ reducedMotion: settingsMotion.checked });
+  });
+
+  settingsLanguage.addEventListener('change', function () {
+    changeLocale(settingsLanguage.value);
+  });
+
+  settingsTypes.addEventListener('change', function (e) {
+    var select = e.target.closest('select[data-type]');
+    if (select) updateTypePref(select.dataset.type, select.value);
+  });
+
+  // "System" theme: CSS follows along by itself, the browser chrome color doesn't
+  if (window.matchMedia) {
+    window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', function () {
+      Settings.apply(settings);
+    });
+
+    // Same for reduced motion, which CSS can't stop in the card art's SMIL drift
+    window.matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', function () {
+      Settings.apply(settings);
+      var still = Settings.prefersReducedMotion(settings);
+      cardWrapper.querySelectorAll('.card-art svg').forEach(function (svg) {
+        if (!svg.pauseAnimations) return;
+        if (still) svg.pauseAnimations();
+        else svg.unpauseAnimations();
+      });
+    });
+  }
+
+  // ── Share sheet UI ──
+  shareClose.addEventListener('click', function () {
+    closeOverlay(shareOverlay);
+  });
+
+  [sharePreset, shareTheme, shareFormat].forEach(function (select) {
+    select.addEventListener('change', updateShareControls);
   });
 
+  shareQuality.addEventListener('input', function () {
+    shareQualityValue.textContent = shareQuality.value + '%';
+  });
+
+  shareQuality.addEventListener('change', renderSharePreview);
+
+  shareImageBtn.addEventListener('click', async function () {
+    var card = allCards[shareIndex];
+    var options = shareOptions();
+    // The preview is this very image unless the options changed since
+    var image = sharePreviewImage && sharePreviewImage.options === JSON.stringify(options) ? sharePreviewImage.blob : null;
+    setData({ shareImage: options });
+    shareImageBtn.disabled = true;
+    shareImageBtn.textContent = t('share.working');
+    try {
+      await CardImage.shareCardImage(card, options, cardShareUrl(card), image);
+      closeOverlay(shareOverlay);
+    } catch (e) {
+      console.log('Share error:', e);
+    }
+    shareImageBtn.disabled = false;
+    shareImageBtn.textContent = t('share.button');
+  });
+
+  shareTextBtn.addEventListener('click', function () {
+    var card = allCards[shareIndex];
+    closeOverlay(shareOverlay);
+    shareCardText(card);
+  });
+
+  // ── Stats UI ──
+  statsBtn.addEventListener('click', function () {
+    renderStats();
+    openOverlay(statsOverlay);
+  });
+
+  statsClose.addEventListener('click', function () {
+    closeOverlay(statsOverlay);
+  });
+
+  // ── Render Deck ──
+  function renderDeck(cards, withWelcome) {
+    if (readingAloud) stopReadingAloud();
+    var deck = Settings.arrangeDeck(cards, settings, showHiddenCards);
+    editionCards = cards;
+    allCards = deck.cards;
+    hiddenCount = deck.hidden;
+    totalCards = allCards.length;
+
+    var html = '';
+
+    // Welcome card on first visit
+    if (withWelcome) {
+      html += buildWelcomeCard();
+    }
+
+    allCards.forEach(function (card, i) {
+      html += buildCardSlide(card, i);
+    });
+    html += buildEndCard(currentStreak);
+
+    if (swiper) {
+      swiper.destroy(true, true);
+      swiper = null;
+    }
+    cardWrapper.innerHTML = html;
+
+    cardWrapper.querySelectorAll('.swiper-slide').forEach(function (slide, i) {
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', 'card');
+      slide.setAttribute('aria-label', slideLabel(i));
+      slide.querySelector('.card').setAttribute('tabindex', '-1');
+    });
+
+    // Build dot indicators
+    buildDots(allCards, withWelcome);
+
+    // Init Swiper (plain, instant slides when motion is reduced)
+    var reduceMotion = Settings.prefersReducedMotion(settings);
+    swiper = createPager('#cardSwiper', {
+      direction: 'vertical',
+      effect: reduceMotion ? 'slide' : 'creative',
+      creativeEffect: {
+        prev: {
+          translate: [0, '-120%', -100],
+          opacity: 0,
+        },
+        next: {
+          translate: [0, '100%', 0],
+          opacity: 1,
+        },
+      },
+      speed: reduceMotion ? 0 : 350,
+      resistanceRatio: 0.6,
+      touchRatio: 1.2,
+      a11y: { enabled: false }, // Labels and announcements are ours (card N of M, not slide N)
+      on: {
+        slideChange: function () {
+          updateDots(this.activeIndex);
+          updateSlideAccess(this.activeIndex);
+          if (readingAloud) {
+            // Swiped while paused: the next card starts afresh, not paused
+            ReadAloud.stop();
+            setReadAloudPaused(false);
+            readSlide(this.activeIndex);
+          } else {
+            var card = cardAtSlide(this.activeIndex);
+            announce(slideLabel(this.activeIndex) + (card ? ': ' + card.title : ''));
+          }
+
+          // Hide swipe hint after first swipe
+          if (this.activeIndex > 0) {
+            swipeHint.classList.add('hidden');
+          }
+        }
+      }
+    });
+
+    // Initial dot state
+    updateDots(0);
+    updateSlideAccess(0);
+  }
+
+  // Swiper, or plain scroll-snap paging if vendor/swiper didn't load (see pager.js)
+  function createPager(selector, params) {
+    if (typeof Swiper === 'function') return new Swiper(selector, params);
+    console.log('Swiper unavailable, using the built-in pager');
+    return VerticalPager.create(selector, params);
+  }
+
   // ── Init ──
   async function init() {
     try {
+      await Store.open();
+      settings = Settings.normalize(getData().settings);
+      Settings.apply(settings);
+      applyLocale();
+
       // Track visits
       var visits = incrementVisitCount();
       var isFirstVisit = visits <= 1;
 
       // Update streak
-      var streak = updateStreak();
-      showStreak(streak);
+      currentStreak = updateStreak();
+      showStreak(currentStreak);
       checkFirstVisit();
       updateSavedUI();
+      restoreReadAloudRate();
 
       // Request notification permission (on 3rd+ visit)
       requestNotificationPermission();
 
       // Load cards
       var cards = await loadCards();
-      allCards = cards;
-      totalCards = cards.length;
 
-      // Notify about new cards
-      checkForNewCards(cards);
+      // Notify about a new edition
+      checkForNewCards(latestEdition);
 
       // Render cards
-      var html = '';
-
-      // Welcome card on first visit
-      if (isFirstVisit) {
-        html += buildWelcomeCard();
-      }
-
-      cards.forEach(function (card, i) {
-        html += buildCardSlide(card, i);
-      });
-      html += buildEndCard(streak);
-      cardWrapper.innerHTML = html;
-
-      // Build dot indicators
-      buildDots(cards, isFirstVisit);
-
-      // Init Swiper
-      swiper = new Swiper('#cardSwiper', {
-        direction: 'vertical',
-        effect: 'creative',
-        creativeEffect: {
-          prev: {
-            translate: [0, '-120%', -100],
-            opacity: 0,
-          },
-          next: {
-            translate: [0, '100%', 0],
-            opacity: 1,
-          },
-        },
-        speed: 350,
-        resistanceRatio: 0.6,
-        touchRatio: 1.2,
-        on: {
-          slideChange: function () {
-            updateDots(this.activeIndex);
-
-            // Hide swipe hint after first swipe
-            if (this.activeIndex > 0) {
-              swipeHint.classList.add('hidden');
-            }
-          }
-        }
-      });
-
-      // Initial dot state
-      updateDots(0);
+      renderDeck(cards, isFirstVisit);
+      if (!openCardFromUrl() && !(await openRouteFromUrl())) resumeReading();
 
       // Double-tap listener on the swiper container
       document.getElementById('cardSwiper').addEventListener('click', handleDoubleTap);
@@ -522,62 +1661,254 @@
   // ── Notification Permission ──
   async function requestNotificationPermission() {
     if (!('Notification' in window)) return;
-    if (Notification.permission === 'granted') return;
+    if (getData().notificationsOff) return;
     if (Notification.permission === 'denied') return;
+    if (Notification.permission === 'granted') {
+      subscribeToPush();
+      return;
+    }
 
     // Ask on 3rd visit — not too eager
     var visits = getVisitCount();
     if (visits >= 3) {
       try {
-        await Notification.requestPermission();
+        var permission = await Notification.requestPermission();
+        if (permission === 'granted') subscribeToPush();
       } catch (e) {
         console.log('Notification permission error:', e);
       }
     }
   }
 
-  // ── Check for new cards & notify ──
-  function checkForNewCards(cards) {
-    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+  // ── Web Push (see push-config.js and scripts/push/) ──
+  function pushEnabled() {
+    return typeof PushConfig !== 'undefined' && !!PushConfig.vapidPublicKey && !!PushConfig.subscriptionsUrl &&
+      'serviceWorker' in navigator && 'PushManager' in window && !window.Capacitor;
+  }
 
-    var data = getData();
-    var today = new Date().toISOString().slice(0, 10);
+  function urlBase64ToUint8Array(base64) {
+    var padding = '='.repeat((4 - base64.length % 4) % 4);
+    var raw = atob((base64 + padding).replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(raw, function (c) { return c.charCodeAt(0); });
+  }
+
+  async function sendSubscription(method, subscription) {
+    var response = await fetch(PushConfig.subscriptionsUrl, {
+      method: method,
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(subscription)
+    });
+    if (!response.ok) throw new Error('Subscription ' + method + ' failed: ' + response.status);
+  }
 
-    // Already notified today
-    if (data.lastNotifiedDate === today) return;
+  // Subscribe (or refresh an existing subscription) and hand it to the server
+  async function subscribeToPush() {
+    if (!pushEnabled() || Notification.permission !== 'granted') return;
+    if (getData().notificationsOff) return;
 
-    // First card title as preview
-    if (cards && cards.length > 0) {
-      var firstCard = cards[0];
-      try {
-        new Notification('Fresh cards from Grandma 🧓', {
-          body: firstCard.emoji + ' ' + firstCard.title,
-          icon: 'icons/icon-192.png',
-          badge: 'icons/icon-192.png',
-          tag: 'afg-daily-' + today,
-          renotify: false
+    try {
+      var reg = await navigator.serviceWorker.ready;
+      var sub = await reg.pushManager.getSubscription();
+      if (!sub) {
+        sub = await reg.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: urlBase64ToUint8Array(PushConfig.vapidPublicKey)
         });
+      }
+
+      var json = sub.toJSON();
+      var stored = getData().pushSubscription;
+      if (!stored || stored.endpoint !== json.endpoint) {
+        await sendSubscription('POST', json);
+        setData({ pushSubscription: json });
+      }
+    } catch (e) {
+      console.log('Push subscription failed:', e);
+    }
+  }
+
+  // Opt out: drop the browser subscription and remove it from the server
+  async function unsubscribeFromPush() {
+    var stored = getData().pushSubscription;
+    setData({ pushSubscription: null });
+    if (!pushEnabled()) return;
+
+    try {
+      var reg = await navigator.serviceWorker.ready;
+      var sub = await reg.pushManager.getSubscription();
+      var endpoint = sub ? sub.endpoint : stored && stored.endpoint;
+      if (sub) await sub.unsubscribe();
+      if (endpoint) await sendSubscription('DELETE', { endpoint: endpoint });
+    } catch (e) {
+      console.log('Push unsubscribe failed:', e);
+    }
+  }
+
+  function notificationsOn() {
+    return 'Notification' in window && Notification.permission === 'granted' && !getData().notificationsOff;
+  }
+
+  function notifyLabel() {
+    return escapeHtml(t(notificationsOn() ? 'end.notifyOn' : 'end.notifyOff'));
+  }
+
+  window.toggleNotifications = async function () {
+    if (notificationsOn()) {
+      setData({ notificationsOff: true });
+      await unsubscribeFromPush();
+    } else {
+      setData({ notificationsOff: false });
+      try {
+        if (Notification.permission !== 'granted') await Notification.requestPermission();
       } catch (e) {
-        // Some browsers don't support Notification constructor from page context
-        if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
-          navigator.serviceWorker.controller.postMessage({
-            type: 'SHOW_NOTIFICATION',
-            title: 'Fresh cards from Grandma 🧓',
-            body: firstCard.emoji + ' ' + firstCard.title,
-            tag: 'afg-daily-' + today
-          });
-        }
+        console.log('Notification permission error:', e);
       }
-      setData({ lastNotifiedDate: today });
+      await subscribeToPush();
     }
+
+    document.querySelectorAll('.notify-btn').forEach(function (btn) {
+      btn.innerHTML = notifyLabel();
+    });
+  };
+
+  // ── Check for a new edition & notify ──
+  // Only when the edition changed since the reader last opened one (see
+  // edition-notify.js), and only if the service worker hasn't announced it.
+  function checkForNewCards(edition) {
+    if (!edition) return;
+
+    var data = getData();
+    var note = data.lastSeenEdition ? EditionNotify.notification(edition, data.lastSeenEdition) : null;
+
+    // Opening the latest edition counts as seeing it
+    setData({ lastSeenEdition: EditionNotify.seenRecord(edition) });
+
+    if (!note || !notificationsOn() || data.lastNotifiedEdition === note.edition) return;
+
+    try {
+      var notification = new Notification(note.title, {
+        body: note.body,
+        icon: 'icons/icon-192.png',
+        badge: 'icons/icon-192.png',
+        tag: note.tag,
+        renotify: false
+      });
+      notification.onclick = function () {
+        window.focus();
+        jumpToCard(note.cardId);
+      };
+    } catch (e) {
+      // Some browsers don't support Notification constructor from page context
+      if ('serviceWorker' in navigator && navigator.serviceWorker.controller) {
+        navigator.serviceWorker.controller.postMessage(Object.assign({ type: 'SHOW_NOTIFICATION' }, note));
+      }
+    }
+    setData({ lastNotifiedEdition: note.edition });
   }
 
+  // ── Deep links to a card (?card=<id>, from notifications) ──
+  function jumpToCard(cardId) {
+    var byId = function (c) { return c.id === cardId; };
+    // A link straight to a hidden card shows it anyway
+    if (swiper && !allCards.some(byId) && editionCards.some(byId)) {
+      showHiddenCards = true;
+      renderDeck(editionCards, slideOffset() === 1);
+    }
+    var index = allCards.findIndex(byId);
+    if (index < 0 || !swiper) return false;
+    swiper.slideTo(index + slideOffset(), 0);
+    return true;
+  }
+
+  async function openCard(cardId) {
+    if (jumpToCard(cardId)) return;
+    // Not in the deck on screen (e.g. reading an archived edition) — go to today
+    await openLatestEdition();
+    jumpToCard(cardId);
+  }
+
+  function openCardFromUrl() {
+    var params = new URLSearchParams(window.location.search);
+    var cardId = params.get('card');
+    if (!cardId) return false;
+
+    var found = jumpToCard(cardId);
+    params.delete('card');
+    var query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    return found;
+  }
+
+  // ── Shared links: #/<date>/<card-id> and #/<date> (see deep-link.js) ──
+  async function openRouteFromUrl() {
+    var route = DeepLink.parse(window.location.hash);
+    if (!route) return false;
+    // Once opened, a reload should resume reading rather than come back here
+    history.replaceState(null, '', window.location.pathname + window.location.search);
+    return openRoute(route);
+  }
+
+  async function openRoute(route) {
+    if (!currentEdition || currentEdition.date !== route.date) {
+      if (!(await openEditionByDate(route.date))) return false;
+    }
+    if (!route.cardId) {
+      swiper.slideTo(slideOffset(), 0);
+      return true;
+    }
+    if (!jumpToCard(route.cardId)) return false;
+    highlightCard(route.cardId);
+    return true;
+  }
+
+  async function openEditionByDate(date) {
+    if (latestEdition && latestEdition.date === date) {
+      await openLatestEdition();
+      return true;
+    }
+    var index = await loadArchiveIndex();
+    var entry = index && (index.editions || []).find(function (e) { return e.date === date; });
+    if (!entry) return false;
+    try {
+      await showArchivedEdition(localizedPath(entry), entry.date);
+      return true;
+    } catch (e) {
+      console.log('Could not open edition ' + date + ':', e);
+      return false;
+    }
+  }
+
+  function highlightCard(cardId) {
+    var index = allCards.findIndex(function (c) { return c.id === cardId; });
+    var el = cardWrapper.querySelector('.card[data-index="' + index + '"]');
+    if (!el) return;
+    el.classList.add('card-linked');
+    setTimeout(function () { el.classList.remove('card-linked'); }, 2600);
+  }
+
+  // A link that opens this card for whoever gets it: its link-preview page
+  // (cards/<date>/<id>.html) where it has one, otherwise the route itself
+  function cardShareUrl(card) {
+    if (window.Capacitor || !currentEdition || !currentEdition.date || !card.id) return null;
+    var base = window.location.href.split(/[?#]/)[0];
+    var page = DeepLink.pagePath(currentEdition.date, card.id);
+    return page ? new URL(page, base).href : base + DeepLink.hash(currentEdition.date, card.id);
+  }
+
+  window.addEventListener('hashchange', openRouteFromUrl);
+
   // ── Register Service Worker (web only) ──
   if ('serviceWorker' in navigator && !window.Capacitor) {
     window.addEventListener('load', function () {
+      // Notification clicks while the app is already open
+      navigator.serviceWorker.addEventListener('message', function (e) {
+        if (e.data && e.data.type === 'OPEN_CARD') openCard(e.data.cardId);
+      });
+
       navigator.serviceWorker.register('sw.js')
         .then(function (reg) {
           console.log('SW registered:', reg.scope);
+          watchForUpdates(reg);
 
           // Schedule periodic background sync if supported
           if ('periodicSync' in reg) {
@@ -590,6 +1921,52 @@
     });
   }
 
+  // ── App updates ──
+  // A new service worker installs in the background and waits; the reader
+  // decides when to switch (see sw.js). Reloading is left to controllerchange
+  // so the page only reloads once the new worker is in charge.
+  var waitingWorker = null;
+  var reloadOnUpdate = false;
+
+  function watchForUpdates(reg) {
+    if (reg.waiting && navigator.serviceWorker.controller) showUpdateBanner(reg.waiting);
+
+    reg.addEventListener('updatefound', function () {
+      var worker = reg.installing;
+      if (!worker) return;
+      worker.addEventListener('statechange', function () {
+        // No controller means first install: nothing to update from
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdateBanner(worker);
+      });
+    });
+
+    // Check again whenever the app comes back to the foreground
+    document.addEventListener('visibilitychange', function () {
+      if (document.visibilityState === 'visible') reg.update().catch(function () {/* offline */});
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', function () {
+      if (reloadOnUpdate) window.location.reload();
+    });
+  }
+
+  function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.classList.add('visible');
+  }
+
+  updateBtn.addEventListener('click', function () {
+    if (!waitingWorker) return;
+    reloadOnUpdate = true;
+    updateBtn.disabled = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+  });
+
+  // Dismissed: the update waits until every tab of the app is closed
+  updateDismiss.addEventListener('click', function () {
+    updateBanner.classList.remove('visible');
+  });
+
   // Boot
   init();
 })();
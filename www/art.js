@@ -3,9 +3,20 @@
  *
  * Creates unique abstract illustrations per card from title hash.
  * Zero API calls, works offline, consistent visual brand.
+ *
+ * Output is deterministic: the same title and type always give byte-identical
+ * SVG (test/art.test.js holds snapshots). Each card type composes its art
+ * from its own pattern families and mood (`art.patterns` / `art.mood` in
+ * card-types.js), so a BS DETECTOR card reads sharp and a COOKIE warm.
  */
 
 const CardArt = (() => {
+  'use strict';
+
+  // In Node (tests, scripts/) the type registry is loaded directly
+  const Types = typeof CardTypes !== 'undefined' ? CardTypes
+    : typeof require === 'function' ? require('./card-types.js') : null;
+
   // Warm palette families — each card gets one based on hash
   const PALETTES = [
     ['#e8734a', '#f4a261', '#fef0e4', '#264653', '#2a9d8f'], // terracotta sunset
@@ -17,122 +28,148 @@ const CardArt = (() => {
     ['#7f5539', '#b08968', '#ddb892', '#e6ccb2', '#ede0d4'], // warm walnut
     ['#588157', '#a3b18a', '#dad7cd', '#344e41', '#3a5a40'], // forest moss
   ];
+  const WARM_PALETTES = [0, 2, 3, 5, 6];
 
-  // Hash a string to a number
+  const W = 400;
+  const H = 200;
+
+  // Hash a string to a number: FNV-1a, then a final mix so that titles
+  // differing by a letter land far apart
   function hash(str) {
-    let h = 0;
+    let h = 0x811c9dc5;
     for (let i = 0; i < str.length; i++) {
-      h = ((h << 5) - h + str.charCodeAt(i)) | 0;
+      h ^= str.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
     }
-    return Math.abs(h);
+    h ^= h >>> 16;
+    h = Math.imul(h, 0x85ebca6b);
+    h ^= h >>> 13;
+    h = Math.imul(h, 0xc2b2ae35);
+    h ^= h >>> 16;
+    return h >>> 0;
   }
 
-  // Seeded pseudo-random number generator
+  // Seeded pseudo-random number generator (mulberry32), 0 <= n < 1
   function seededRandom(seed) {
-    let s = seed;
+    let s = seed >>> 0;
     return function () {
-      s = (s * 16807 + 0) % 2147483647;
-      return (s - 1) / 2147483646;
+      s = (s + 0x6d2b79f5) >>> 0;
+      let t = s;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     };
   }
 
-  // Pick palette from hash
-  function getPalette(h) {
-    return PALETTES[h % PALETTES.length];
+  function pick(rand, list) {
+    return list[Math.floor(rand() * list.length)];
+  }
+
+  const n1 = (v) => v.toFixed(1);
+  const n2 = (v) => v.toFixed(2);
+
+  // Pick palette from hash, unless the card type brings its own (card-types.js)
+  function getPalette(rand, art) {
+    if (art.palette) return art.palette;
+    if (art.mood === 'warm') return PALETTES[pick(rand, WARM_PALETTES)];
+    return pick(rand, PALETTES);
   }
 
-  // Pattern 1: Gradient blobs with soft circles
-  function blobPattern(rand, palette, w, h) {
+  // ── Pattern families ──
+  // Each draws into a W x H box from { rand, palette, sharp }. "Cover"
+  // families fill the whole box and are only ever used as the base layer.
+
+  // Gradient blobs — soft, slightly squashed circles
+  function blobPattern({ rand, palette }) {
     let shapes = '';
     const count = 3 + Math.floor(rand() * 3);
     for (let i = 0; i < count; i++) {
-      const cx = rand() * w;
-      const cy = rand() * h;
+      const cx = rand() * W;
+      const cy = rand() * H;
       const r = 40 + rand() * 80;
-      const color = palette[Math.floor(rand() * palette.length)];
+      const squash = 0.7 + rand() * 0.6;
+      const color = pick(rand, palette);
       const opacity = 0.3 + rand() * 0.4;
-      shapes += `<circle cx="${cx.toFixed(1)}" cy="${cy.toFixed(1)}" r="${r.toFixed(1)}" fill="${color}" opacity="${opacity.toFixed(2)}"/>`;
+      shapes += `<ellipse cx="${n1(cx)}" cy="${n1(cy)}" rx="${n1(r)}" ry="${n1(r * squash)}" fill="${color}" opacity="${n2(opacity)}"/>`;
     }
     return shapes;
   }
 
-  // Pattern 2: Geometric shapes — rotated rectangles and triangles
-  function geoPattern(rand, palette, w, h) {
+  // Geometric shapes — rotated rectangles and triangles; hard corners when sharp
+  function geoPattern({ rand, palette, sharp }) {
     let shapes = '';
-    const count = 4 + Math.floor(rand() * 4);
+    const count = (sharp ? 7 : 4) + Math.floor(rand() * 4);
     for (let i = 0; i < count; i++) {
-      const x = rand() * w;
-      const y = rand() * h;
+      const x = rand() * W;
+      const y = rand() * H;
       const size = 30 + rand() * 60;
-      const color = palette[Math.floor(rand() * palette.length)];
+      const color = pick(rand, palette);
       const opacity = 0.25 + rand() * 0.4;
       const rotation = rand() * 360;
+      const transform = `rotate(${rotation.toFixed(0)} ${n1(x)} ${n1(y)})`;
 
-      if (rand() > 0.5) {
-        // Rectangle
-        shapes += `<rect x="${(x - size / 2).toFixed(1)}" y="${(y - size / 2).toFixed(1)}" width="${size.toFixed(1)}" height="${size.toFixed(1)}" fill="${color}" opacity="${opacity.toFixed(2)}" transform="rotate(${rotation.toFixed(0)} ${x.toFixed(1)} ${y.toFixed(1)})" rx="${(rand() * 8).toFixed(1)}"/>`;
+      if (!sharp && rand() > 0.5) {
+        shapes += `<rect x="${n1(x - size / 2)}" y="${n1(y - size / 2)}" width="${n1(size)}" height="${n1(size)}" fill="${color}" opacity="${n2(opacity)}" transform="${transform}" rx="${n1(rand() * 8)}"/>`;
       } else {
-        // Triangle
-        const x1 = x, y1 = y - size / 2;
-        const x2 = x - size / 2, y2 = y + size / 2;
-        const x3 = x + size / 2, y3 = y + size / 2;
-        shapes += `<polygon points="${x1.toFixed(1)},${y1.toFixed(1)} ${x2.toFixed(1)},${y2.toFixed(1)} ${x3.toFixed(1)},${y3.toFixed(1)}" fill="${color}" opacity="${opacity.toFixed(2)}" transform="rotate(${rotation.toFixed(0)} ${x.toFixed(1)} ${y.toFixed(1)})"/>`;
+        // Triangle, long and thin when sharp
+        const half = sharp ? size / 4 : size / 2;
+        shapes += `<polygon points="${n1(x)},${n1(y - size / 2)} ${n1(x - half)},${n1(y + size / 2)} ${n1(x + half)},${n1(y + size / 2)}" fill="${color}" opacity="${n2(opacity)}" transform="${transform}"/>`;
       }
     }
     return shapes;
   }
 
-  // Pattern 3: Wave lines
-  function wavePattern(rand, palette, w, h) {
+  // Wave lines
+  function wavePattern({ rand, palette }) {
     let shapes = '';
     const lineCount = 3 + Math.floor(rand() * 4);
     for (let i = 0; i < lineCount; i++) {
-      const y = (h / (lineCount + 1)) * (i + 1);
+      const y = (H / (lineCount + 1)) * (i + 1);
       const amplitude = 15 + rand() * 30;
       const frequency = 1 + rand() * 2;
-      const color = palette[Math.floor(rand() * palette.length)];
+      const phase = rand() * Math.PI * 2;
+      const color = pick(rand, palette);
       const strokeWidth = 2 + rand() * 4;
 
-      let d = `M 0 ${y.toFixed(1)}`;
-      for (let x = 0; x <= w; x += 10) {
-        const offset = Math.sin((x / w) * Math.PI * frequency * 2 + rand() * 6) * amplitude;
-        d += ` L ${x} ${(y + offset).toFixed(1)}`;
+      let d = `M 0 ${n1(y + Math.sin(phase) * amplitude)}`;
+      for (let x = 10; x <= W; x += 10) {
+        d += ` L ${x} ${n1(y + Math.sin((x / W) * Math.PI * frequency * 2 + phase) * amplitude)}`;
       }
-      shapes += `<path d="${d}" fill="none" stroke="${color}" stroke-width="${strokeWidth.toFixed(1)}" opacity="${(0.3 + rand() * 0.4).toFixed(2)}" stroke-linecap="round"/>`;
+      shapes += `<path d="${d}" fill="none" stroke="${color}" stroke-width="${n1(strokeWidth)}" opacity="${n2(0.3 + rand() * 0.4)}" stroke-linecap="round"/>`;
     }
     return shapes;
   }
 
-  // Pattern 4: Dot grid
-  function dotGridPattern(rand, palette, w, h) {
+  // Dot grid
+  function dotGridPattern({ rand, palette }) {
     let shapes = '';
     const spacing = 25 + Math.floor(rand() * 15);
     const jitter = 5 + rand() * 10;
 
-    for (let x = spacing; x < w; x += spacing) {
-      for (let y = spacing; y < h; y += spacing) {
+    for (let x = spacing; x < W; x += spacing) {
+      for (let y = spacing; y < H; y += spacing) {
         const jx = x + (rand() - 0.5) * jitter;
         const jy = y + (rand() - 0.5) * jitter;
         const r = 2 + rand() * 6;
-        const color = palette[Math.floor(rand() * palette.length)];
+        const color = pick(rand, palette);
         const opacity = 0.2 + rand() * 0.5;
-        shapes += `<circle cx="${jx.toFixed(1)}" cy="${jy.toFixed(1)}" r="${r.toFixed(1)}" fill="${color}" opacity="${opacity.toFixed(2)}"/>`;
+        shapes += `<circle cx="${n1(jx)}" cy="${n1(jy)}" r="${n1(r)}" fill="${color}" opacity="${n2(opacity)}"/>`;
       }
     }
     return shapes;
   }
 
-  // Pattern 5: Abstract arcs
-  function arcPattern(rand, palette, w, h) {
+  // Abstract arcs
+  function arcPattern({ rand, palette, sharp }) {
     let shapes = '';
     const count = 4 + Math.floor(rand() * 4);
     for (let i = 0; i < count; i++) {
-      const cx = rand() * w;
-      const cy = rand() * h;
+      const cx = rand() * W;
+      const cy = rand() * H;
       const r = 30 + rand() * 70;
       const startAngle = rand() * 360;
       const sweep = 60 + rand() * 180;
-      const color = palette[Math.floor(rand() * palette.length)];
+      const color = pick(rand, palette);
       const strokeWidth = 3 + rand() * 6;
 
       const endAngle = startAngle + sweep;
@@ -142,77 +179,220 @@ const CardArt = (() => {
       const y2 = cy + r * Math.sin((endAngle * Math.PI) / 180);
       const largeArc = sweep > 180 ? 1 : 0;
 
-      shapes += `<path d="M ${x1.toFixed(1)} ${y1.toFixed(1)} A ${r.toFixed(1)} ${r.toFixed(1)} 0 ${largeArc} 1 ${x2.toFixed(1)} ${y2.toFixed(1)}" fill="none" stroke="${color}" stroke-width="${strokeWidth.toFixed(1)}" opacity="${(0.3 + rand() * 0.4).toFixed(2)}" stroke-linecap="round"/>`;
+      shapes += `<path d="M ${n1(x1)} ${n1(y1)} A ${n1(r)} ${n1(r)} 0 ${largeArc} 1 ${n1(x2)} ${n1(y2)}" fill="none" stroke="${color}" stroke-width="${n1(strokeWidth)}" opacity="${n2(0.3 + rand() * 0.4)}" stroke-linecap="${sharp ? 'butt' : 'round'}"/>`;
     }
     return shapes;
   }
 
-  // Pattern 6: Layered circles (concentric, offset)
-  function layeredCirclePattern(rand, palette, w, h) {
+  // Layered circles (concentric, offset)
+  function layeredCirclePattern({ rand, palette }) {
     let shapes = '';
     const groups = 2 + Math.floor(rand() * 2);
 
     for (let g = 0; g < groups; g++) {
-      const cx = w * 0.2 + rand() * w * 0.6;
-      const cy = h * 0.2 + rand() * h * 0.6;
+      const cx = W * 0.2 + rand() * W * 0.6;
+      const cy = H * 0.2 + rand() * H * 0.6;
       const rings = 3 + Math.floor(rand() * 3);
       const maxR = 40 + rand() * 50;
 
       for (let i = rings; i >= 0; i--) {
         const r = maxR * ((i + 1) / (rings + 1));
-        const color = palette[Math.floor(rand() * palette.length)];
+        const color = pick(rand, palette);
         const opacity = 0.15 + rand() * 0.3;
         const offsetX = (rand() - 0.5) * 10;
         const offsetY = (rand() - 0.5) * 10;
-        shapes += `<circle cx="${(cx + offsetX).toFixed(1)}" cy="${(cy + offsetY).toFixed(1)}" r="${r.toFixed(1)}" fill="${color}" opacity="${opacity.toFixed(2)}"/>`;
+        shapes += `<circle cx="${n1(cx + offsetX)}" cy="${n1(cy + offsetY)}" r="${n1(r)}" fill="${color}" opacity="${n2(opacity)}"/>`;
+      }
+    }
+    return shapes;
+  }
+
+  // Smooth 2D value noise on a coarse lattice, for flow fields
+  function valueNoise(rand, cell) {
+    const cols = Math.ceil(W / cell) + 2;
+    const rows = Math.ceil(H / cell) + 2;
+    const lattice = Array.from({ length: cols * rows }, () => rand());
+    const smooth = (t) => t * t * (3 - 2 * t);
+    return function (x, y) {
+      const gx = Math.max(0, x / cell);
+      const gy = Math.max(0, y / cell);
+      const x0 = Math.min(cols - 2, Math.floor(gx));
+      const y0 = Math.min(rows - 2, Math.floor(gy));
+      const tx = smooth(Math.min(1, gx - x0));
+      const ty = smooth(Math.min(1, gy - y0));
+      const at = (cx, cy) => lattice[cy * cols + cx];
+      const top = at(x0, y0) + (at(x0 + 1, y0) - at(x0, y0)) * tx;
+      const bottom = at(x0, y0 + 1) + (at(x0 + 1, y0 + 1) - at(x0, y0 + 1)) * tx;
+      return top + (bottom - top) * ty;
+    };
+  }
+
+  // Noise field — short strokes following a smooth flow
+  function noisePattern({ rand, palette }) {
+    let shapes = '';
+    const noise = valueNoise(rand, 60 + rand() * 60);
+    const turn = Math.PI * (2 + rand() * 2);
+    const count = 18 + Math.floor(rand() * 14);
+    const steps = 14;
+    const step = 7;
+    for (let i = 0; i < count; i++) {
+      let x = rand() * W;
+      let y = rand() * H;
+      let d = `M ${n1(x)} ${n1(y)}`;
+      for (let s = 0; s < steps; s++) {
+        const angle = noise(x, y) * turn;
+        x += Math.cos(angle) * step;
+        y += Math.sin(angle) * step;
+        d += ` L ${n1(x)} ${n1(y)}`;
+      }
+      shapes += `<path d="${d}" fill="none" stroke="${pick(rand, palette)}" stroke-width="${n1(1.5 + rand() * 3)}" opacity="${n2(0.35 + rand() * 0.4)}" stroke-linecap="round" stroke-linejoin="round"/>`;
+    }
+    return shapes;
+  }
+
+  // Stripes — parallel bands of varying width at one angle (cover)
+  function stripePattern({ rand, palette }) {
+    let shapes = '';
+    const angle = -60 + Math.floor(rand() * 120);
+    const span = W + H; // Long enough to cover the box at any angle
+    let x = -span / 2;
+    while (x < W + span / 2) {
+      const width = 8 + rand() * 28;
+      if (rand() > 0.35) {
+        shapes += `<rect x="${n1(x)}" y="${n1(-span / 2)}" width="${n1(width)}" height="${n1(span * 1.5)}" fill="${pick(rand, palette)}" opacity="${n2(0.2 + rand() * 0.45)}"/>`;
       }
+      x += width + 4 + rand() * 16;
     }
+    return `<g transform="rotate(${angle} ${W / 2} ${H / 2})">${shapes}</g>`;
+  }
+
+  // Keep the part of a polygon where a*x + b*y <= c (Sutherland–Hodgman, one edge)
+  function clipPolygon(points, a, b, c) {
+    const out = [];
+    for (let i = 0; i < points.length; i++) {
+      const p = points[i];
+      const q = points[(i + 1) % points.length];
+      const pIn = a * p[0] + b * p[1] <= c;
+      const qIn = a * q[0] + b * q[1] <= c;
+      if (pIn) out.push(p);
+      if (pIn !== qIn) {
+        const t = (c - a * p[0] - b * p[1]) / (a * (q[0] - p[0]) + b * (q[1] - p[1]));
+        out.push([p[0] + t * (q[0] - p[0]), p[1] + t * (q[1] - p[1])]);
+      }
+    }
+    return out;
+  }
+
+  // Voronoi-style tiles — the box split into cells around random points (cover)
+  function tilePattern({ rand, palette, sharp }) {
+    let shapes = '';
+    const count = 7 + Math.floor(rand() * 8);
+    const sites = Array.from({ length: count }, () => [rand() * W, rand() * H]);
+    const gap = sharp ? 1.5 : 3;
+
+    sites.forEach((site, i) => {
+      let cell = [[0, 0], [W, 0], [W, H], [0, H]];
+      sites.forEach((other, j) => {
+        if (i === j || cell.length === 0) return;
+        // Points closer to site than to other, pulled in by half the gap
+        const a = other[0] - site[0];
+        const b = other[1] - site[1];
+        const length = Math.hypot(a, b) || 1;
+        const c = (other[0] ** 2 + other[1] ** 2 - site[0] ** 2 - site[1] ** 2) / 2 - gap * length / 2;
+        cell = clipPolygon(cell, a, b, c);
+      });
+      if (cell.length < 3) return;
+      const points = cell.map((p) => n1(p[0]) + ',' + n1(p[1])).join(' ');
+      shapes += `<polygon points="${points}" fill="${pick(rand, palette)}" opacity="${n2(0.25 + rand() * 0.5)}"${sharp ? '' : ' stroke-linejoin="round"'}/>`;
+    });
     return shapes;
   }
 
-  const PATTERNS = [blobPattern, geoPattern, wavePattern, dotGridPattern, arcPattern, layeredCirclePattern];
+  const PATTERNS = {
+    blobs: { draw: blobPattern },
+    geometric: { draw: geoPattern },
+    waves: { draw: wavePattern },
+    dots: { draw: dotGridPattern },
+    arcs: { draw: arcPattern },
+    rings: { draw: layeredCirclePattern },
+    noise: { draw: noisePattern },
+    stripes: { draw: stripePattern, cover: true },
+    tiles: { draw: tilePattern, cover: true }
+  };
+
+  // Composition rules of a type (card-types.js), known pattern names only
+  function artRules(type) {
+    const art = (Types && Types.get(type).art) || {};
+    const patterns = (art.patterns || []).filter((name) => PATTERNS[name]);
+    return {
+      palette: art.palette || null,
+      mood: art.mood || null,
+      patterns: patterns.length > 0 ? patterns : Object.keys(PATTERNS)
+    };
+  }
+
+  // Slow drift of an overlay layer; the art stays put with animation off
+  function drift(rand, shapes) {
+    const dx = n1((rand() - 0.5) * 16);
+    const dy = n1((rand() - 0.5) * 10);
+    const dur = 10 + Math.floor(rand() * 8);
+    return `<g>${shapes}<animateTransform attributeName="transform" type="translate" values="0 0;${dx} ${dy};0 0" dur="${dur}s" repeatCount="indefinite" calcMode="spline" keyTimes="0;0.5;1" keySplines="0.45 0 0.55 1;0.45 0 0.55 1"/></g>`;
+  }
+
+  function size(options) {
+    const { width, height } = options;
+    return width > 0 && height > 0 ? ` width="${Math.round(width)}" height="${Math.round(height)}"` : '';
+  }
 
   /**
    * Generate an SVG illustration for a card.
    * @param {string} title - Card title (used as seed)
    * @param {string} type - Card type (holy_shit, quick_bite, etc.)
+   * @param {{ animated?: boolean, width?: number, height?: number }} [options] -
+   *   animated: let the overlay layer drift slowly (SMIL); callers turn it off
+   *   for reduced motion and anywhere the SVG becomes a still image.
+   *   width/height: pixel size for rasterizing; the art is cropped to that
+   *   shape from the center, as it is in the deck. Without them the SVG
+   *   fills its container
    * @returns {string} SVG markup
    */
-  function generate(title, type = '') {
-    const seed = hash(title + type);
+  function generate(title, type = '', options = {}) {
+    const seed = hash(type + '\n' + title);
     const rand = seededRandom(seed);
-    const palette = getPalette(seed);
-    const w = 400;
-    const h = 200;
+    const rules = artRules(type);
+    const palette = getPalette(rand, rules);
+    const ctx = { rand, palette, sharp: rules.mood === 'sharp' };
 
-    // Pick 1-2 patterns and layer them
-    const patternIdx1 = seed % PATTERNS.length;
-    const patternIdx2 = (seed + 3) % PATTERNS.length;
-    const useTwo = rand() > 0.4;
+    // A base family from the type's list, then maybe a lighter overlay on top;
+    // cover families always get one, as they'd be flat on their own
+    const base = pick(rand, rules.patterns);
+    const overlays = rules.patterns.filter((name) => name !== base && !PATTERNS[name].cover);
+    const overlay = overlays.length > 0 && (PATTERNS[base].cover || rand() > 0.4) ? pick(rand, overlays) : null;
 
     // Soft background gradient
     const bg1 = palette[2] || palette[0];
     const bg2 = palette[3] || palette[1];
     const gradAngle = Math.floor(rand() * 360);
 
-    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${w} ${h}" preserveAspectRatio="xMidYMid slice">`;
+    let svg = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${W} ${H}" preserveAspectRatio="xMidYMid slice"${size(options)} data-art="${base}${overlay ? '+' + overlay : ''}">`;
     svg += `<defs><linearGradient id="bg-${seed}" gradientTransform="rotate(${gradAngle})">`;
     svg += `<stop offset="0%" stop-color="${bg1}"/>`;
     svg += `<stop offset="100%" stop-color="${bg2}"/>`;
     svg += `</linearGradient></defs>`;
-    svg += `<rect width="${w}" height="${h}" fill="url(#bg-${seed})"/>`;
+    svg += `<rect width="${W}" height="${H}" fill="url(#bg-${seed})"/>`;
 
     // Layer patterns
-    svg += PATTERNS[patternIdx1](rand, palette, w, h);
-    if (useTwo) {
-      svg += PATTERNS[patternIdx2](rand, palette, w, h);
+    svg += PATTERNS[base].draw(ctx);
+    if (overlay) {
+      const shapes = PATTERNS[overlay].draw(ctx);
+      svg += options.animated ? drift(rand, shapes) : shapes;
     }
 
     svg += '</svg>';
     return svg;
   }
 
-  return { generate, hash };
+  return { generate, hash, PATTERNS: Object.keys(PATTERNS) };
 })();
 
 // Export for module usage
@@ -1,48 +1,182 @@
 /**
  * AI for Grandmas — Shareable Card Image Generator
  *
- * Uses Canvas API to generate branded 1080x1920 images (Instagram Story size)
- * for sharing cards as images on social media.
+ * Uses the Canvas API to draw branded card images for sharing on social
+ * media, in several presets (Story 9:16, square feed post, 1200x630 link
+ * preview), a dark or light look, and PNG, JPEG or WebP. The card's art —
+ * its image_url, or the CardArt pattern the app shows — is drawn as a header.
+ *
+ * Text is fitted rather than cut: the title and body shrink down to a minimum
+ * size first, and only then are trimmed with an ellipsis. Wrapping handles
+ * languages without spaces (Chinese, Japanese) and right-to-left scripts.
  */
 
 const CardImage = (() => {
   'use strict';
 
-  const W = 1080;
-  const H = 1920;
-  const PAD = 80;
-  const CONTENT_W = W - PAD * 2;
-
-  // Type color map
-  const TYPE_COLORS = {
-    holy_shit:   { bg: '#1c1017', accent: '#dc2626', tagBg: '#fee2e2', tagText: '#b91c1c' },
-    quick_bite:  { bg: '#1a1708', accent: '#d97706', tagBg: '#fef3c7', tagText: '#92400e' },
-    tool_drop:   { bg: '#0a1a10', accent: '#16a34a', tagBg: '#dcfce7', tagText: '#15803d' },
-    try_this:    { bg: '#0c1220', accent: '#2563eb', tagBg: '#dbeafe', tagText: '#1d4ed8' },
-    bs_detector: { bg: '#150c1e', accent: '#9333ea', tagBg: '#f3e8ff', tagText: '#7e22ce' },
-    cookie:      { bg: '#1a120a', accent: '#e8734a', tagBg: '#fef0e4', tagText: '#e8734a' },
+  // Sizes are in canvas pixels; `fit` is [largest, smallest] font size
+  const PRESETS = {
+    story: {
+      width: 1080, height: 1920, pad: 80, cardPad: 60, radius: 32,
+      brand: 36, brandY: 140, boxTop: 240, boxBottom: 1740, art: 420, tag: 28,
+      title: { fit: [56, 40], maxLines: 4 }, body: { fit: [38, 28] }, source: 30,
+      footer: 30, footerY: 1800
+    },
+    square: {
+      width: 1080, height: 1080, pad: 60, cardPad: 44, radius: 28,
+      brand: 30, brandY: 92, boxTop: 136, boxBottom: 990, art: 220, tag: 24,
+      title: { fit: [48, 34], maxLines: 3 }, body: { fit: [32, 24] }, source: 26,
+      footer: 26, footerY: 1040
+    },
+    link: {
+      width: 1200, height: 630, pad: 40, cardPad: 32, radius: 20,
+      brand: 24, brandY: 50, boxTop: 72, boxBottom: 570, art: 130, tag: 20,
+      title: { fit: [44, 30], maxLines: 2 }, body: { fit: [26, 20] }, source: 20,
+      footer: 20, footerY: 604
+    }
+  };
+
+  const THEMES = {
+    dark: {
+      bgEnd: '#000000', card: '#1a1a1a', border: 'rgba(255,255,255,0.08)',
+      title: '#ffffff', body: 'rgba(255,255,255,0.75)', brand: 'rgba(255,255,255,0.4)', footer: 'rgba(255,255,255,0.3)'
+    },
+    light: {
+      bgEnd: '#f4f2ed', card: '#ffffff', border: 'rgba(0,0,0,0.08)',
+      title: '#1a1a1a', body: 'rgba(0,0,0,0.72)', brand: 'rgba(0,0,0,0.45)', footer: 'rgba(0,0,0,0.35)'
+    }
+  };
+
+  const FORMATS = {
+    png: { type: 'image/png', extension: 'png' },
+    jpeg: { type: 'image/jpeg', extension: 'jpg' },
+    webp: { type: 'image/webp', extension: 'webp' }
   };
 
+  const DEFAULTS = { preset: 'story', theme: 'dark', format: 'png', quality: 0.9 };
+
+  const SANS = 'Inter, -apple-system, sans-serif';
+  const SERIF = 'Lora, Georgia, serif';
+  const ELLIPSIS = '…';
+
+  // CJK characters can break anywhere; everything else breaks at spaces
+  const CJK = '\u2E80-\u9FFF\uAC00-\uD7AF\uF900-\uFAFF\uFF00-\uFFEF';
+  const TOKEN_RE = new RegExp('[' + CJK + ']|[^\\s' + CJK + ']+|\\s+', 'g');
+  // Punctuation that must not start a line (kinsoku); it hangs on the previous one
+  const NO_LINE_START = '、。，．・：；？！ー」』）〕】〉》”’…‥ぁぃぅぇぉっゃゅょァィゥェォッャュョ';
+  const RTL_RE = /[\u0590-\u08FF\uFB1D-\uFDFF\uFE70-\uFEFF]/;
+
+  /**
+   * Fill in defaults and drop anything unrecognised.
+   * @param {Object} [options] - { preset, theme, format, quality }
+   * @returns {{ preset: string, theme: string, format: string, quality: number }}
+   */
+  function normalize(options) {
+    const o = options || {};
+    const quality = Number(o.quality);
+    return {
+      preset: PRESETS[o.preset] ? o.preset : DEFAULTS.preset,
+      theme: THEMES[o.theme] ? o.theme : DEFAULTS.theme,
+      format: FORMATS[o.format] ? o.format : DEFAULTS.format,
+      quality: quality >= 0.1 && quality <= 1 ? quality : DEFAULTS.quality
+    };
+  }
+
+  // Split a word too long for any line (a URL, say) into pieces that fit
+  function breakToken(ctx, token, maxWidth) {
+    if (ctx.measureText(token).width <= maxWidth) return [token];
+    const pieces = [];
+    let piece = '';
+    Array.from(token).forEach(char => {
+      if (piece && ctx.measureText(piece + char).width > maxWidth) {
+        pieces.push(piece);
+        piece = '';
+      }
+      piece += char;
+    });
+    if (piece) pieces.push(piece);
+    return pieces;
+  }
+
   // Word-wrap text for canvas
   function wrapText(ctx, text, maxWidth) {
-    const words = text.split(' ');
+    const tokens = (text.match(TOKEN_RE) || [])
+      .flatMap(token => /^\s+$/.test(token) ? [token] : breakToken(ctx, token, maxWidth));
     const lines = [];
     let currentLine = '';
 
-    words.forEach(word => {
-      const testLine = currentLine ? currentLine + ' ' + word : word;
-      const metrics = ctx.measureText(testLine);
-      if (metrics.width > maxWidth && currentLine) {
-        lines.push(currentLine);
-        currentLine = word;
+    tokens.forEach(token => {
+      const isSpace = /^\s+$/.test(token);
+      if (isSpace && !currentLine) return; // No leading spaces after a break
+      const testLine = currentLine + token;
+      const metrics = ctx.measureText(testLine.trimEnd());
+      if (metrics.width > maxWidth && currentLine.trim() && !isSpace && !NO_LINE_START.includes(token)) {
+        lines.push(currentLine.trimEnd());
+        currentLine = token;
       } else {
         currentLine = testLine;
       }
     });
-    if (currentLine) lines.push(currentLine);
+    if (currentLine.trim()) lines.push(currentLine.trimEnd());
+    return lines;
+  }
+
+  // Paragraphs wrapped one after another, with a blank line between them
+  function wrapParagraphs(ctx, text, maxWidth) {
+    const lines = [];
+    text.split(/\n+/).map(p => p.trim()).filter(Boolean).forEach((para, i) => {
+      if (i > 0) lines.push('');
+      wrapText(ctx, para, maxWidth).forEach(line => lines.push(line));
+    });
     return lines;
   }
 
+  // Shorten a line until it fits with an ellipsis after it
+  function ellipsize(ctx, line, maxWidth) {
+    let text = line.replace(/[\s.,;:!?…]+$/, '');
+    while (text && ctx.measureText(text + ELLIPSIS).width > maxWidth) {
+      text = text.slice(0, -1).trimEnd();
+    }
+    return text + ELLIPSIS;
+  }
+
+  /**
+   * Find the largest font size at which text fits, shrinking down to the
+   * smallest allowed; if it still doesn't fit, keep what does and end the
+   * last line with an ellipsis.
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {string} text
+   * @param {{ font: function(number): string, fit: number[], width: number,
+   *   lineHeight: number, maxLines?: number, maxHeight?: number }} spec
+   *   lineHeight is a multiple of the font size
+   * @returns {{ font: string, lines: string[], lineHeight: number, truncated: boolean }}
+   */
+  function fitText(ctx, text, spec) {
+    const [largest, smallest] = spec.fit;
+    let size = largest;
+    for (;;) {
+      const font = spec.font(size);
+      ctx.font = font;
+      const lineHeight = Math.round(size * spec.lineHeight);
+      const maxLines = Math.max(1, Math.min(
+        spec.maxLines || Infinity,
+        spec.maxHeight !== undefined ? Math.floor(spec.maxHeight / lineHeight) : Infinity
+      ));
+      const lines = wrapParagraphs(ctx, text, spec.width);
+
+      if (lines.length <= maxLines) return { font, lines, lineHeight, truncated: false };
+      if (size > smallest) {
+        size = Math.max(smallest, size - 2);
+        continue;
+      }
+
+      const kept = lines.slice(0, maxLines);
+      while (kept.length > 1 && kept[kept.length - 1] === '') kept.pop();
+      kept[kept.length - 1] = ellipsize(ctx, kept[kept.length - 1], spec.width);
+      return { font, lines: kept, lineHeight, truncated: true };
+    }
+  }
+
   // Round rect helper
   function roundRect(ctx, x, y, w, h, r) {
     ctx.beginPath();
@@ -58,178 +192,404 @@ const CardImage = (() => {
     ctx.closePath();
   }
 
+  function loadImage(src, crossOrigin) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      if (crossOrigin) img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = () => reject(new Error('Image failed to load: ' + src.slice(0, 80)));
+      img.src = src;
+    });
+  }
+
   /**
-   * Generate a shareable card image as a data URL.
-   * @param {Object} card - Card data object
-   * @returns {Promise<string>} data URL of the generated image
+   * The card's header art: its image_url if the host allows drawing it to a
+   * canvas (CORS), otherwise the CardArt pattern the deck shows, drawn at
+   * the header's size so it's sharp and cropped the way the deck crops it.
+   * @param {Object} card
+   * @param {number} width - Header size in canvas pixels
+   * @param {number} height
+   * @returns {Promise<HTMLImageElement|null>}
    */
-  async function generate(card) {
+  async function loadArt(card, width, height) {
+    if (card.image_url) {
+      try {
+        return await loadImage(card.image_url, true);
+      } catch {
+        // No CORS or offline — fall through to generated art
+      }
+    }
+    if (typeof CardArt === 'undefined') return null;
+    const svg = CardArt.generate(card.title || '', card.type || 'quick_bite', { width, height });
+    try {
+      return await loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg), false);
+    } catch {
+      return null;
+    }
+  }
+
+  // Draw an image filling the box, cropped to keep its aspect ratio (like object-fit: cover)
+  function drawCover(ctx, img, x, y, w, h) {
+    const iw = img.naturalWidth || img.width;
+    const ih = img.naturalHeight || img.height;
+    if (!iw || !ih) return;
+    const scale = Math.max(w / iw, h / ih);
+    const sw = w / scale;
+    const sh = h / scale;
+    ctx.drawImage(img, (iw - sw) / 2, (ih - sh) / 2, sw, sh, x, y, w, h);
+  }
+
+  // Canvas won't wait for web fonts; make sure Inter and Lora (vendor/) are
+  // ready. Georgia stands in if Lora can't load
+  async function loadFonts() {
+    if (document.fonts && document.fonts.load) {
+      await Promise.all(['500 36px Inter', 'bold 56px Inter', '400 38px Lora'].map((font) => document.fonts.load(font).catch(() => {})));
+    }
+  }
+
+  function createCanvas(P) {
     const canvas = document.createElement('canvas');
-    canvas.width = W;
-    canvas.height = H;
-    const ctx = canvas.getContext('2d');
+    canvas.width = P.width;
+    canvas.height = P.height;
+    return canvas;
+  }
 
-    const type = card.type || 'quick_bite';
-    const colors = TYPE_COLORS[type] || TYPE_COLORS.quick_bite;
+  // Background, brand header and the optional "2/9" slide marker
+  function drawFrame(ctx, P, theme, colors, marker) {
+    const T = THEMES[theme];
+    const W = P.width;
+    const H = P.height;
 
     // ── Background ──
-    // Dark gradient bg
     const bgGrad = ctx.createLinearGradient(0, 0, 0, H);
-    bgGrad.addColorStop(0, colors.bg);
-    bgGrad.addColorStop(0.6, '#0f0f0f');
-    bgGrad.addColorStop(1, '#000000');
+    bgGrad.addColorStop(0, theme === 'dark' ? colors.shareBg : colors.tagBg);
+    bgGrad.addColorStop(0.6, theme === 'dark' ? '#0f0f0f' : T.bgEnd);
+    bgGrad.addColorStop(1, T.bgEnd);
     ctx.fillStyle = bgGrad;
     ctx.fillRect(0, 0, W, H);
 
     // Subtle accent glow at top
-    const glowGrad = ctx.createRadialGradient(W / 2, 200, 50, W / 2, 200, 500);
+    const glowGrad = ctx.createRadialGradient(W / 2, H * 0.1, 50, W / 2, H * 0.1, Math.max(W, H) * 0.3);
     glowGrad.addColorStop(0, colors.accent + '30');
     glowGrad.addColorStop(1, 'transparent');
     ctx.fillStyle = glowGrad;
-    ctx.fillRect(0, 0, W, 600);
-
-    let y = 140;
+    ctx.fillRect(0, 0, W, H * 0.35);
 
     // ── Brand header ──
-    ctx.font = '500 36px Inter, -apple-system, sans-serif';
-    ctx.fillStyle = 'rgba(255,255,255,0.4)';
-    ctx.fillText('🧓  AI for Grandmas', PAD, y);
-    y += 100;
-
-    // ── Card container (rounded rect) ──
-    const cardTop = y;
-    const cardPad = 60;
+    ctx.font = '500 ' + P.brand + 'px ' + SANS;
+    ctx.fillStyle = T.brand;
+    ctx.fillText(I18n.t('image.brand'), P.pad, P.brandY);
+
+    if (marker) {
+      ctx.textAlign = 'right';
+      ctx.fillText(marker, W - P.pad, P.brandY);
+      ctx.textAlign = 'left';
+    }
+  }
 
-    // We'll calculate card height after rendering content, so draw card bg later
-    let contentY = cardTop + cardPad;
+  function drawFooter(ctx, P, theme, text) {
+    ctx.font = '400 ' + P.footer + 'px ' + SANS;
+    ctx.fillStyle = THEMES[theme].footer;
+    ctx.textAlign = 'center';
+    ctx.fillText(text, P.width / 2, P.footerY);
+    ctx.textAlign = 'left';
+  }
 
-    // ── Tag pill ──
-    const tagText = (card.emoji || '') + '  ' + (card.label || type.replace('_', ' ').toUpperCase());
-    ctx.font = 'bold 28px Inter, -apple-system, sans-serif';
-    const tagMetrics = ctx.measureText(tagText);
-    const tagW = tagMetrics.width + 40;
-    const tagH = 52;
+  /**
+   * Draw a card onto a new canvas.
+   * @param {Object} card - Card data object
+   * @param {Object} [options] - See normalize(), plus `marker` (e.g. '2/9')
+   *   for carousel slides
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async function render(card, options) {
+    const { preset, theme } = normalize(options);
+    const P = PRESETS[preset];
+    const T = THEMES[theme];
+    const W = P.width;
 
-    // Save tag position, draw after card bg
-    const tagX = PAD + cardPad;
-    const tagY = contentY;
-    contentY += tagH + 36;
+    await loadFonts();
+    const art = await loadArt(card, W - P.pad * 2, P.art);
 
-    // ── Title ──
-    ctx.font = 'bold 56px Inter, -apple-system, sans-serif';
-    ctx.fillStyle = '#ffffff';
-    const titleLines = wrapText(ctx, card.title || '', CONTENT_W - cardPad * 2);
-    const titleY = contentY;
-    const titleLineHeight = 72;
-    contentY += titleLines.length * titleLineHeight + 40;
+    const canvas = createCanvas(P);
+    const ctx = canvas.getContext('2d');
 
-    // ── Body ──
-    ctx.font = '400 38px Georgia, serif';
-    const bodyText = (card.body || '').replace(/\n+/g, '\n');
-    const bodyParagraphs = bodyText.split('\n');
-    const bodyLines = [];
-    bodyParagraphs.forEach((para, pi) => {
-      if (pi > 0 && para.trim()) bodyLines.push(''); // blank line between paragraphs
-      const wrapped = wrapText(ctx, para.trim(), CONTENT_W - cardPad * 2);
-      wrapped.forEach(line => bodyLines.push(line));
+    // Type colors come from the registry (card-types.js)
+    const typeInfo = CardTypes.get(card.type);
+    const colors = typeInfo.colors;
+
+    drawFrame(ctx, P, theme, colors, options && options.marker);
+
+    // ── Lay out the card, top to bottom ──
+    const boxX = P.pad;
+    const boxW = W - P.pad * 2;
+    const textW = boxW - P.cardPad * 2;
+    let y = P.boxTop + (art ? P.art : 0) + P.cardPad;
+
+    const tagText = (card.emoji || typeInfo.emoji) + '  ' + (card.label || typeInfo.label);
+    const tagFont = 'bold ' + P.tag + 'px ' + SANS;
+    ctx.font = tagFont;
+    const tagW = ctx.measureText(tagText).width + P.tag * 1.4;
+    const tagH = Math.round(P.tag * 1.85);
+    const tagY = y;
+    y += tagH + Math.round(P.tag * 1.3);
+
+    const title = fitText(ctx, card.title || '', {
+      font: (size) => 'bold ' + size + 'px ' + SANS,
+      fit: P.title.fit, width: textW, lineHeight: 1.28, maxLines: P.title.maxLines
     });
-    const bodyY = contentY;
-    const bodyLineHeight = 58;
+    const titleY = y;
+    y += title.lines.length * title.lineHeight + Math.round(P.title.fit[1] * 0.8);
 
-    // Limit body lines to fit
-    const maxBodyLines = 16;
-    const visibleBodyLines = bodyLines.slice(0, maxBodyLines);
-    contentY += visibleBodyLines.length * bodyLineHeight + 50;
-
-    // ── Source line ──
     const sourceText = card.source_name ? '— ' + card.source_name : '';
-    const sourceY = contentY;
-    if (sourceText) contentY += 50;
-
-    contentY += cardPad;
+    const sourceH = sourceText ? Math.round(P.source * 1.8) : 0;
+    const body = fitText(ctx, card.body || '', {
+      font: (size) => '400 ' + size + 'px ' + SERIF,
+      fit: P.body.fit, width: textW, lineHeight: 1.5,
+      maxHeight: P.boxBottom - P.cardPad - sourceH - y
+    });
+    const bodyY = y;
+    y += body.lines.length * body.lineHeight;
+    const sourceY = y + Math.round(P.source * 0.6);
+    y += sourceH + P.cardPad;
 
-    // ── Now draw the card background ──
-    const cardHeight = contentY - cardTop;
+    // ── Card background, sized to its content ──
+    const boxH = Math.min(y, P.boxBottom) - P.boxTop;
     ctx.save();
-    roundRect(ctx, PAD, cardTop, W - PAD * 2, cardHeight, 32);
-    ctx.fillStyle = '#1a1a1a';
+    roundRect(ctx, boxX, P.boxTop, boxW, boxH, P.radius);
+    ctx.fillStyle = T.card;
     ctx.fill();
-    // Subtle border
-    ctx.strokeStyle = 'rgba(255,255,255,0.08)';
+    ctx.strokeStyle = T.border;
     ctx.lineWidth = 2;
     ctx.stroke();
+
+    // Art header, clipped to the card's rounded top
+    if (art) {
+      ctx.clip();
+      drawCover(ctx, art, boxX, P.boxTop, boxW, P.art);
+    }
     ctx.restore();
 
     // ── Accent bar at top of card ──
     ctx.save();
-    roundRect(ctx, PAD, cardTop, W - PAD * 2, 6, 3);
+    roundRect(ctx, boxX, P.boxTop, boxW, 6, 3);
     ctx.fillStyle = colors.accent;
     ctx.fill();
     ctx.restore();
 
-    // ── Draw tag pill ──
+    // ── Tag pill ──
+    const tagX = boxX + P.cardPad;
     ctx.save();
-    roundRect(ctx, tagX, tagY, tagW, tagH, 12);
+    roundRect(ctx, tagX, tagY, tagW, tagH, Math.round(tagH * 0.23));
     ctx.fillStyle = colors.tagBg;
     ctx.fill();
-    ctx.font = 'bold 28px Inter, -apple-system, sans-serif';
+    ctx.font = tagFont;
     ctx.fillStyle = colors.tagText;
-    ctx.fillText(tagText, tagX + 20, tagY + 36);
+    ctx.textBaseline = 'middle';
+    ctx.fillText(tagText, tagX + P.tag * 0.7, tagY + tagH / 2);
     ctx.restore();
 
-    // ── Draw title ──
-    ctx.font = 'bold 56px Inter, -apple-system, sans-serif';
-    ctx.fillStyle = '#ffffff';
-    titleLines.forEach((line, i) => {
-      ctx.fillText(line, PAD + cardPad, titleY + (i + 1) * titleLineHeight);
+    // Right-to-left cards are drawn from the right edge
+    const rtl = RTL_RE.test((card.title || '') + (card.body || ''));
+    const textX = rtl ? boxX + boxW - P.cardPad : boxX + P.cardPad;
+    ctx.direction = rtl ? 'rtl' : 'ltr';
+    ctx.textAlign = rtl ? 'right' : 'left';
+
+    // ── Title ──
+    ctx.font = title.font;
+    ctx.fillStyle = T.title;
+    title.lines.forEach((line, i) => {
+      ctx.fillText(line, textX, titleY + (i + 0.8) * title.lineHeight);
     });
 
-    // ── Draw body ──
-    ctx.font = '400 38px Georgia, serif';
-    ctx.fillStyle = 'rgba(255,255,255,0.75)';
-    visibleBodyLines.forEach((line, i) => {
+    // ── Body ──
+    ctx.font = body.font;
+    ctx.fillStyle = T.body;
+    body.lines.forEach((line, i) => {
       if (line === '') return; // blank paragraph gap
-      ctx.fillText(line, PAD + cardPad, bodyY + (i + 1) * bodyLineHeight);
+      ctx.fillText(line, textX, bodyY + (i + 0.75) * body.lineHeight);
     });
 
-    // ── Draw source ──
+    // ── Source ──
     if (sourceText) {
-      ctx.font = '500 30px Inter, -apple-system, sans-serif';
+      ctx.font = '500 ' + P.source + 'px ' + SANS;
       ctx.fillStyle = colors.accent;
-      ctx.fillText(sourceText, PAD + cardPad, sourceY + 36);
+      ctx.fillText(sourceText, textX, sourceY + P.source);
     }
+    ctx.direction = 'ltr';
+
+    drawFooter(ctx, P, theme, I18n.t('image.footer'));
+    return canvas;
+  }
 
-    // ── Footer branding ──
-    const footerY = H - 120;
-    ctx.font = '400 30px Inter, -apple-system, sans-serif';
-    ctx.fillStyle = 'rgba(255,255,255,0.3)';
+  // A card-shaped panel with text blocks centred in it (carousel cover and outro)
+  function drawPanel(ctx, P, theme, colors, blocks) {
+    const T = THEMES[theme];
+    const boxW = P.width - P.pad * 2;
+    const boxH = P.boxBottom - P.boxTop;
+
+    ctx.save();
+    roundRect(ctx, P.pad, P.boxTop, boxW, boxH, P.radius);
+    ctx.fillStyle = T.card;
+    ctx.fill();
+    ctx.strokeStyle = T.border;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+    roundRect(ctx, P.pad, P.boxTop, boxW, 6, 3);
+    ctx.fillStyle = colors.accent;
+    ctx.fill();
+    ctx.restore();
+
+    const laidOut = blocks.filter((block) => block.text).map((block) => ({
+      block,
+      text: fitText(ctx, block.text, {
+        font: block.font, fit: block.fit, width: boxW - P.cardPad * 2,
+        lineHeight: 1.3, maxLines: block.maxLines || 3
+      })
+    }));
+    const gap = Math.round(P.body.fit[0] * 0.9);
+    const height = laidOut.reduce((sum, item) => sum + item.text.lines.length * item.text.lineHeight, 0) +
+      gap * (laidOut.length - 1);
+
+    let y = P.boxTop + Math.max(P.cardPad, (boxH - height) / 2);
     ctx.textAlign = 'center';
-    ctx.fillText('swipe daily  ·  aigrandmas.com', W / 2, footerY);
+    laidOut.forEach(({ block, text }) => {
+      ctx.font = text.font;
+      ctx.fillStyle = block.color;
+      text.lines.forEach((line, i) => {
+        ctx.fillText(line, P.width / 2, y + (i + 0.8) * text.lineHeight);
+      });
+      y += text.lines.length * text.lineHeight + gap;
+    });
     ctx.textAlign = 'left';
+  }
 
-    return canvas.toDataURL('image/png');
+  /**
+   * Carousel cover slide: the edition's date, card count and the cards' emoji.
+   * Styled after the edition's first card.
+   * @param {Object[]} cards - The edition's cards
+   * @param {string} date - Display date, e.g. 'Mon, Oct 19, 2026'
+   * @param {Object} [options] - See render()
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async function renderCover(cards, date, options) {
+    const { preset, theme } = normalize(options);
+    const P = PRESETS[preset];
+    const T = THEMES[theme];
+    const colors = CardTypes.get(cards.length ? cards[0].type : null).colors;
+
+    await loadFonts();
+    const canvas = createCanvas(P);
+    const ctx = canvas.getContext('2d');
+    drawFrame(ctx, P, theme, colors, options && options.marker);
+    drawPanel(ctx, P, theme, colors, [
+      { text: cards.map((card) => card.emoji || CardTypes.get(card.type).emoji).join(' '), font: (size) => size + 'px ' + SANS, fit: [P.title.fit[0], P.body.fit[1]], maxLines: 2, color: T.title },
+      { text: I18n.t('carousel.heading'), font: (size) => 'bold ' + size + 'px ' + SANS, fit: [Math.round(P.title.fit[0] * 1.25), P.title.fit[1]], color: T.title },
+      { text: date, font: (size) => '500 ' + size + 'px ' + SANS, fit: P.body.fit, maxLines: 1, color: colors.accent },
+      { text: I18n.t('carousel.count', { count: cards.length }), font: (size) => '400 ' + size + 'px ' + SERIF, fit: P.body.fit, maxLines: 1, color: T.body }
+    ]);
+    drawFooter(ctx, P, theme, I18n.t('carousel.swipe'));
+    return canvas;
   }
 
   /**
-   * Generate and trigger share/download of a card image.
+   * Carousel closing slide, pointing people at the app.
+   * @param {Object[]} cards - The edition's cards (for the colors)
+   * @param {Object} [options] - See render()
+   * @returns {Promise<HTMLCanvasElement>}
+   */
+  async function renderOutro(cards, options) {
+    const { preset, theme } = normalize(options);
+    const P = PRESETS[preset];
+    const T = THEMES[theme];
+    const colors = CardTypes.get(cards.length ? cards[0].type : null).colors;
+
+    await loadFonts();
+    const canvas = createCanvas(P);
+    const ctx = canvas.getContext('2d');
+    drawFrame(ctx, P, theme, colors, options && options.marker);
+    drawPanel(ctx, P, theme, colors, [
+      { text: '🍪', font: (size) => size + 'px ' + SANS, fit: [P.title.fit[0] * 2, P.title.fit[1]], maxLines: 1, color: T.title },
+      { text: I18n.t('carousel.outroTitle'), font: (size) => 'bold ' + size + 'px ' + SANS, fit: P.title.fit, color: T.title },
+      { text: I18n.t('carousel.outroBody'), font: (size) => '400 ' + size + 'px ' + SERIF, fit: P.body.fit, maxLines: 4, color: T.body }
+    ]);
+    drawFooter(ctx, P, theme, I18n.t('image.footer'));
+    return canvas;
+  }
+
+  /**
+   * Encode a canvas from render(), renderCover() or renderOutro().
+   * @param {HTMLCanvasElement} canvas
+   * @param {Object} [options] - See normalize()
+   * @returns {Promise<Blob>} PNG if the browser can't encode the format asked for
+   */
+  function toBlob(canvas, options) {
+    const { format, quality } = normalize(options);
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) resolve(blob);
+        else reject(new Error('Could not encode the card image'));
+      }, FORMATS[format].type, quality);
+    });
+  }
+
+  /**
+   * Generate a shareable card image.
    * @param {Object} card - Card data object
+   * @param {Object} [options] - { preset, theme, format, quality }, see normalize()
+   * @returns {Promise<Blob>} PNG if the browser can't encode the format asked for
    */
-  async function shareCardImage(card) {
-    const dataUrl = await generate(card);
+  async function generate(card, options) {
+    return toBlob(await render(card, options), options);
+  }
+
+  /**
+   * Download name for a card image, e.g. ai-for-grandmas-tool_drop-story.webp
+   * @param {Object} card
+   * @param {Object} options
+   * @param {Blob} [blob] - The extension follows what was actually encoded
+   * @returns {string}
+   */
+  function fileName(card, options, blob) {
+    const { preset, format } = normalize(options);
+    const encoded = Object.keys(FORMATS).find((id) => blob && FORMATS[id].type === blob.type) || format;
+    return 'ai-for-grandmas-' + (card.type || 'card') + '-' + preset + '.' + FORMATS[encoded].extension;
+  }
 
-    // Convert data URL to blob
-    const res = await fetch(dataUrl);
-    const blob = await res.blob();
-    const file = new File([blob], 'ai-for-grandmas-card.png', { type: 'image/png' });
+  function download(blob, name) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = name;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Generate and trigger share/download of a card image.
+   * @param {Object} card - Card data object
+   * @param {Object} [options] - See normalize()
+   * @param {string} [url] - Link to the card, shared alongside the image
+   * @param {Blob} [image] - Already generated with these options (the share
+   *   sheet's preview). Sharing right away keeps the tap's user activation,
+   *   which navigator.share() needs
+   */
+  async function shareCardImage(card, options, url, image) {
+    const blob = image || await generate(card, options);
+    const file = new File([blob], fileName(card, options, blob), { type: blob.type });
 
     // Try native share with file
     if (navigator.share && navigator.canShare && navigator.canShare({ files: [file] })) {
       try {
-        await navigator.share({
+        const data = {
           title: card.title,
-          text: card.emoji + ' ' + card.title + ' — AI for Grandmas',
+          text: card.emoji + ' ' + card.title + ' — ' + I18n.t('app.name'),
           files: [file]
-        });
+        };
+        if (url) data.url = url;
+        await navigator.share(data);
         return;
       } catch (e) {
         if (e.name === 'AbortError') return; // User cancelled
@@ -237,13 +597,11 @@ const CardImage = (() => {
     }
 
     // Fallback: download the image
-    const a = document.createElement('a');
-    a.href = dataUrl;
-    a.download = 'ai-for-grandmas-' + (card.type || 'card') + '.png';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
+    download(blob, file.name);
   }
 
-  return { generate, shareCardImage };
+  return {
+    PRESETS, THEMES, FORMATS, DEFAULTS, normalize, fitText,
+    render, renderCover, renderOutro, toBlob, generate, fileName, shareCardImage
+  };
 })();
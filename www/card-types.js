@@ -0,0 +1,188 @@
+/**
+ * AI for Grandmas — Card Type Registry
+ *
+ * The one place card types are defined: label, emoji, description and colors.
+ * The welcome card, dot indicators, tag pills, saved-card filters, share image
+ * and art engine all read from here. An edition can declare extra types in a
+ * top-level "types" array; they're registered on load and render without any
+ * code or CSS changes.
+ */
+
+const CardTypes = (() => {
+  'use strict';
+
+  const ID_RE = /^[a-z0-9][a-z0-9_]*$/;
+  const HEX_RE = /^#[0-9a-fA-F]{6}$/;
+  const COLOR_KEYS = ['accent', 'tagBg', 'tagText', 'shareBg'];
+  // Art composition: the pattern families art.js can draw (kept in step
+  // with it and the schema by test/art.test.js) and moods
+  const PATTERNS = ['blobs', 'geometric', 'waves', 'dots', 'arcs', 'rings', 'noise', 'stripes', 'tiles'];
+  const MOODS = ['sharp', 'warm'];
+
+  // Built-in types, in deck order
+  const BUILT_IN = [
+    {
+      id: 'holy_shit', label: 'BIG NEWS', emoji: '🔥',
+      description: 'The one story you can’t miss today',
+      colors: { accent: '#dc2626', tagBg: '#fee2e2', tagText: '#b91c1c', shareBg: '#1c1017' },
+      art: { patterns: ['rings', 'stripes', 'geometric', 'arcs'] }
+    },
+    {
+      id: 'quick_bite', label: 'QUICK BITE', emoji: '⚡',
+      description: 'News you can read in under a minute',
+      colors: { accent: '#d97706', tagBg: '#fef3c7', tagText: '#92400e', shareBg: '#1a1708' },
+      art: { patterns: ['dots', 'waves', 'stripes', 'arcs'] }
+    },
+    {
+      id: 'tool_drop', label: 'TOOL DROP', emoji: '🔧',
+      description: 'A new tool worth a try',
+      colors: { accent: '#16a34a', tagBg: '#dcfce7', tagText: '#15803d', shareBg: '#0a1a10' },
+      art: { patterns: ['tiles', 'geometric', 'dots', 'waves'] }
+    },
+    {
+      id: 'try_this', label: 'TRY THIS', emoji: '🎯',
+      description: 'A hands-on tip for your workflow',
+      colors: { accent: '#2563eb', tagBg: '#dbeafe', tagText: '#1d4ed8', shareBg: '#0c1220' },
+      art: { patterns: ['arcs', 'noise', 'rings', 'waves'] }
+    },
+    {
+      id: 'bs_detector', label: 'BS DETECTOR', emoji: '💩',
+      description: 'Hype, held up to the light',
+      colors: { accent: '#9333ea', tagBg: '#f3e8ff', tagText: '#7e22ce', shareBg: '#150c1e' },
+      art: { patterns: ['geometric', 'tiles', 'stripes'], mood: 'sharp' }
+    },
+    {
+      id: 'cookie', label: 'COOKIE', emoji: '🍪',
+      description: 'Grandma’s closing thought',
+      colors: { accent: '#e8734a', tagBg: '#fef0e4', tagText: '#e8734a', shareBg: '#1a120a' },
+      art: { patterns: ['blobs', 'rings', 'noise'], mood: 'warm' }
+    }
+  ];
+
+  // Neutral look for a type nobody declared
+  const FALLBACK_COLORS = { accent: '#6b7f72', tagBg: '#eef0ec', tagText: '#3d4f44', shareBg: '#121412' };
+
+  const registry = new Map();
+  BUILT_IN.forEach((def) => registry.set(def.id, { ...def, builtIn: true }));
+
+  /**
+   * Check a type definition (e.g. one entry of an edition's "types" array).
+   * @param {Object} def - { id, label, emoji, description?, colors, art? }
+   * @param {string} [path] - Location used in messages
+   * @returns {string[]} errors, empty if the definition is usable
+   */
+  function checkDefinition(def, path = 'type') {
+    const errors = [];
+    if (!def || typeof def !== 'object') return [path + ': not an object'];
+
+    if (typeof def.id !== 'string' || !ID_RE.test(def.id)) {
+      errors.push(path + '.id: "' + def.id + '" should be lowercase letters, digits and underscores');
+    }
+    if (typeof def.label !== 'string' || !def.label.trim() || /[<>&"]/.test(def.label)) {
+      errors.push(path + '.label: missing or contains < > & "');
+    }
+    if (typeof def.emoji !== 'string' || !def.emoji || /[<>&"]/.test(def.emoji)) {
+      errors.push(path + '.emoji: missing or contains < > & "');
+    }
+    if (!def.colors || typeof def.colors !== 'object') {
+      errors.push(path + '.colors: missing');
+    } else {
+      COLOR_KEYS.forEach((key) => {
+        if (def.colors[key] !== undefined && !HEX_RE.test(def.colors[key])) {
+          errors.push(path + '.colors.' + key + ': "' + def.colors[key] + '" should be #rrggbb');
+        }
+      });
+      if (!HEX_RE.test(def.colors.accent || '')) {
+        errors.push(path + '.colors.accent: required');
+      }
+    }
+    if (def.art && def.art.palette) {
+      const palette = def.art.palette;
+      if (!Array.isArray(palette) || palette.length < 4 || !palette.every((c) => HEX_RE.test(c))) {
+        errors.push(path + '.art.palette: should be 4-5 #rrggbb colors');
+      }
+    }
+    if (def.art && def.art.patterns !== undefined) {
+      const patterns = def.art.patterns;
+      if (!Array.isArray(patterns) || patterns.length === 0 || !patterns.every((p) => PATTERNS.includes(p))) {
+        errors.push(path + '.art.patterns: should be a list of ' + PATTERNS.join(', '));
+      }
+    }
+    if (def.art && def.art.mood !== undefined && !MOODS.includes(def.art.mood)) {
+      errors.push(path + '.art.mood: should be one of ' + MOODS.join(', '));
+    }
+    return errors;
+  }
+
+  /**
+   * Register (or override) a type. Built-in types can't be replaced.
+   * @param {Object} def - Type definition
+   * @returns {boolean} true if registered
+   */
+  function register(def) {
+    if (checkDefinition(def).length > 0) return false;
+    const existing = registry.get(def.id);
+    if (existing && existing.builtIn) return false;
+
+    registry.set(def.id, {
+      id: def.id,
+      label: def.label,
+      emoji: def.emoji,
+      description: def.description || '',
+      colors: { ...FALLBACK_COLORS, tagBg: def.colors.accent + '22', tagText: def.colors.accent, ...def.colors },
+      art: def.art || null,
+      builtIn: false
+    });
+    return true;
+  }
+
+  // Register every valid type an edition declares
+  function registerAll(defs) {
+    if (!Array.isArray(defs)) return;
+    defs.forEach(register);
+  }
+
+  function isKnown(id) {
+    return registry.has(id);
+  }
+
+  /**
+   * Look up a type. Unknown ids get a neutral fallback rather than borrowing
+   * another type's colors.
+   * @param {string} id
+   * @returns {Object} type definition
+   */
+  function get(id) {
+    if (registry.has(id)) return registry.get(id);
+    return {
+      id: id || 'unknown',
+      label: String(id || 'card').replace(/_/g, ' ').toUpperCase(),
+      emoji: '📰',
+      description: '',
+      colors: FALLBACK_COLORS,
+      art: null,
+      builtIn: false
+    };
+  }
+
+  function list() {
+    return Array.from(registry.values());
+  }
+
+  function ids() {
+    return Array.from(registry.keys());
+  }
+
+  // Inline CSS custom properties for a type — style.css reads these
+  function styleVars(id) {
+    const colors = get(id).colors;
+    return '--type-accent:' + colors.accent + ';--type-tag-bg:' + colors.tagBg + ';--type-tag-text:' + colors.tagText;
+  }
+
+  return { PATTERNS, MOODS, checkDefinition, register, registerAll, isKnown, get, list, ids, styleVars };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CardTypes;
+}
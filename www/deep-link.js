@@ -0,0 +1,77 @@
+/**
+ * AI for Grandmas — Deep Links
+ *
+ * Links to a card or a whole edition. In the app they're hash routes,
+ * #/<date>/<card-id> and #/<date>, so they work on static hosting and
+ * offline. For sharing there's also a small static page per card,
+ * cards/<date>/<card-id>.html, carrying Open Graph tags so link previews
+ * show the card; it forwards to the hash route (scripts/build-card-pages.js).
+ */
+
+const DeepLink = (() => {
+  'use strict';
+
+  const PAGES_DIR = 'cards';
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  // Ids that can double as a file name; cards with others only get the hash route
+  const PAGE_ID_RE = /^[A-Za-z0-9_-]+$/;
+  const PAGE_RE = /\/cards\/(\d{4}-\d{2}-\d{2})\/([A-Za-z0-9_-]+)\.html$/;
+
+  function decode(part) {
+    try {
+      return decodeURIComponent(part);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Read a route out of a location hash.
+   * @param {string} hash - e.g. '#/2026-02-19/tool-drop-001'
+   * @returns {{ date: string, cardId: string|null }|null}
+   */
+  function parse(hash) {
+    const match = /^#\/(\d{4}-\d{2}-\d{2})(?:\/([^/]+))?\/?$/.exec(hash || '');
+    if (!match) return null;
+    const cardId = match[2] ? decode(match[2]) : null;
+    if (match[2] && !cardId) return null;
+    return { date: match[1], cardId };
+  }
+
+  /**
+   * @param {string} date - Edition date (YYYY-MM-DD)
+   * @param {string} [cardId] - Omit to link the whole edition
+   * @returns {string} e.g. '#/2026-02-19/tool-drop-001'
+   */
+  function hash(date, cardId) {
+    return '#/' + date + (cardId ? '/' + encodeURIComponent(cardId) : '');
+  }
+
+  /**
+   * Path of a card's link-preview page, relative to the app.
+   * @param {string} date
+   * @param {string} cardId
+   * @returns {string|null} null if the card can't have one
+   */
+  function pagePath(date, cardId) {
+    if (!DATE_RE.test(date || '') || !PAGE_ID_RE.test(cardId || '')) return null;
+    return PAGES_DIR + '/' + date + '/' + cardId + '.html';
+  }
+
+  /**
+   * The route a link-preview page stands for.
+   * @param {string} pathname - e.g. '/ai-for-grandmas/cards/2026-02-19/tool-drop-001.html'
+   * @returns {{ date: string, cardId: string }|null}
+   */
+  function fromPagePath(pathname) {
+    const match = PAGE_RE.exec(pathname || '');
+    return match ? { date: match[1], cardId: match[2] } : null;
+  }
+
+  return { PAGES_DIR, parse, hash, pagePath, fromPagePath };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = DeepLink;
+}
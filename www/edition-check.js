@@ -0,0 +1,199 @@
+/**
+ * AI for Grandmas — Edition Checker
+ *
+ * Validates an edition (latest.json or an archived edition) against the
+ * format described in schema/edition.schema.json. Shared by the app, which
+ * drops bad cards instead of breaking the deck, and by scripts/lint-edition.js,
+ * which blocks a bad edition before deploy.
+ */
+
+const EditionCheck = (() => {
+  'use strict';
+
+  // Type registry: a global in the browser, required in Node
+  const Types = typeof CardTypes !== 'undefined' ? CardTypes : require('./card-types.js');
+
+  // Sized to what CardImage.generate fits on a 1080x1920 share image:
+  // 800px text column, 38px Lora body at ~40 chars/line, maxBodyLines = 16,
+  // less the blank lines between paragraphs. Titles wrap at ~26 chars/line.
+  const LIMITS = {
+    titleMax: 90,
+    bodyMax: 560,
+    labelMax: 24,
+    emojiMax: 8,
+    sourceNameMax: 60
+  };
+
+  const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+  const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+  const HTML_CHARS_RE = /[<>&"]/;
+
+  function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      const url = new URL(value);
+      return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch {
+      return false;
+    }
+  }
+
+  function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+  }
+
+  /**
+   * Check a single card.
+   * @param {Object} card - Card data object
+   * @param {string} path - Location used in messages, e.g. "cards[2]"
+   * @param {string[]} [extraTypes] - Type ids the edition declares itself
+   * @returns {{ errors: string[], warnings: string[] }}
+   */
+  function checkCard(card, path, extraTypes = []) {
+    const errors = [];
+    const warnings = [];
+
+    if (!card || typeof card !== 'object') {
+      errors.push(path + ': card is not an object');
+      return { errors, warnings };
+    }
+
+    if (!isNonEmptyString(card.id)) {
+      errors.push(path + '.id: missing');
+    } else if (!ID_RE.test(card.id)) {
+      errors.push(path + '.id: "' + card.id + '" should be lowercase letters, digits and dashes');
+    }
+
+    if (!Types.isKnown(card.type) && !extraTypes.includes(card.type)) {
+      const known = Types.ids().concat(extraTypes);
+      errors.push(path + '.type: unknown type "' + card.type + '" (expected one of ' + known.join(', ') + ', or declare it in "types")');
+    }
+
+    if (!isNonEmptyString(card.emoji)) {
+      errors.push(path + '.emoji: missing');
+    } else if (HTML_CHARS_RE.test(card.emoji) || card.emoji.length > LIMITS.emojiMax) {
+      errors.push(path + '.emoji: should be a single emoji');
+    }
+
+    if (!isNonEmptyString(card.label)) {
+      errors.push(path + '.label: missing');
+    } else if (HTML_CHARS_RE.test(card.label)) {
+      errors.push(path + '.label: must not contain < > & or "');
+    } else if (card.label.length > LIMITS.labelMax) {
+      warnings.push(path + '.label: longer than ' + LIMITS.labelMax + ' characters');
+    }
+
+    if (!isNonEmptyString(card.title)) {
+      errors.push(path + '.title: missing');
+    } else if (card.title.length > LIMITS.titleMax) {
+      errors.push(path + '.title: ' + card.title.length + ' characters, limit is ' + LIMITS.titleMax);
+    }
+
+    if (!isNonEmptyString(card.body)) {
+      errors.push(path + '.body: missing');
+    } else if (card.body.length > LIMITS.bodyMax) {
+      errors.push(path + '.body: ' + card.body.length + ' characters, limit is ' + LIMITS.bodyMax + ' (share image would cut it off)');
+    }
+
+    if (card.source_url != null && !isHttpUrl(card.source_url)) {
+      errors.push(path + '.source_url: "' + card.source_url + '" is not an http(s) URL');
+    }
+
+    if (card.image_url != null && !isHttpUrl(card.image_url)) {
+      errors.push(path + '.image_url: "' + card.image_url + '" is not an http(s) URL');
+    }
+
+    if (card.source_name != null) {
+      if (typeof card.source_name !== 'string') {
+        errors.push(path + '.source_name: should be a string or null');
+      } else if (card.source_name.length > LIMITS.sourceNameMax) {
+        warnings.push(path + '.source_name: longer than ' + LIMITS.sourceNameMax + ' characters');
+      }
+    }
+
+    if (card.source_url && !card.source_name) {
+      warnings.push(path + '.source_name: missing for a card with a source_url');
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * Check a whole edition.
+   * @param {Object} edition - Parsed edition JSON
+   * @returns {{ valid: boolean, errors: string[], warnings: string[], cards: Object[] }}
+   *   `cards` holds only the cards that passed, in their original order.
+   */
+  function checkEdition(edition) {
+    const errors = [];
+    const warnings = [];
+    const cards = [];
+
+    if (!edition || typeof edition !== 'object') {
+      return { valid: false, errors: ['edition is not an object'], warnings, cards };
+    }
+
+    if (!DATE_RE.test(edition.date || '')) {
+      errors.push('date: "' + edition.date + '" should be YYYY-MM-DD');
+    }
+
+    if (edition.generated_at == null) {
+      warnings.push('generated_at: missing');
+    } else if (isNaN(Date.parse(edition.generated_at))) {
+      errors.push('generated_at: "' + edition.generated_at + '" is not a timestamp');
+    }
+
+    if (!Array.isArray(edition.cards) || edition.cards.length === 0) {
+      errors.push('cards: no cards');
+      return { valid: false, errors, warnings, cards };
+    }
+
+    // Types the edition declares for itself
+    const extraTypes = [];
+    if (edition.types !== undefined) {
+      if (!Array.isArray(edition.types)) {
+        errors.push('types: should be an array of type definitions');
+      } else {
+        edition.types.forEach((def, i) => {
+          const typeErrors = Types.checkDefinition(def, 'types[' + i + ']');
+          if (typeErrors.length > 0) {
+            errors.push(...typeErrors);
+          } else if (Types.get(def.id).builtIn) {
+            warnings.push('types[' + i + '].id: "' + def.id + '" is built in, declaration ignored');
+          } else {
+            extraTypes.push(def.id);
+          }
+        });
+      }
+    }
+
+    if (edition.card_count !== edition.cards.length) {
+      errors.push('card_count: says ' + edition.card_count + ' but there are ' + edition.cards.length + ' cards');
+    }
+
+    const seenIds = {};
+    edition.cards.forEach((card, i) => {
+      const path = 'cards[' + i + ']';
+      const result = checkCard(card, path, extraTypes);
+
+      if (card && card.id && seenIds[card.id] !== undefined) {
+        result.errors.push(path + '.id: duplicate of cards[' + seenIds[card.id] + ']');
+      } else if (card && card.id) {
+        seenIds[card.id] = i;
+      }
+
+      errors.push(...result.errors);
+      warnings.push(...result.warnings);
+      if (result.errors.length === 0) cards.push(card);
+    });
+
+    return { valid: errors.length === 0, errors, warnings, cards };
+  }
+
+  return { checkEdition, checkCard, isHttpUrl, LIMITS };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditionCheck;
+}
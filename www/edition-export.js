@@ -0,0 +1,206 @@
+/**
+ * AI for Grandmas — Edition Carousel Export
+ *
+ * Renders a whole edition as numbered carousel slides (a cover, every card,
+ * an outro) through CardImage, for posting to Instagram or LinkedIn. Where
+ * the browser can't share several files at once, the slides are packed into
+ * a ZIP of images or a single PDF with one slide per page instead.
+ *
+ * Both containers are written by hand: the images are already compressed,
+ * so the ZIP just stores them, and the PDF embeds JPEGs as they are.
+ */
+
+const EditionExport = (() => {
+  'use strict';
+
+  // Square slides work as both Instagram and LinkedIn carousels
+  const PRESET = 'square';
+  const PDF_SCALE = 0.5; // Canvas pixels → PDF points (1080px slide = 540pt page)
+
+  /**
+   * Whether this browser can hand several image files to the share sheet.
+   * @returns {boolean}
+   */
+  function canShareFiles() {
+    if (!navigator.share || !navigator.canShare || typeof File === 'undefined') return false;
+    try {
+      return navigator.canShare({ files: [new File([''], 'slide.png', { type: 'image/png' })] });
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Render an edition as carousel slides.
+   * @param {Object[]} cards - The edition's cards, in order
+   * @param {string} date - Display date for the cover
+   * @param {Object} [options] - CardImage options (theme, format, quality); the preset is always square
+   * @param {function(number, number)} [onProgress] - Called with (done, total) after each slide
+   * @returns {Promise<File[]>}
+   */
+  async function renderSlides(cards, date, options, onProgress) {
+    const base = CardImage.normalize({ ...options, preset: PRESET });
+    const total = cards.length + 2;
+    const draws = [
+      (opts) => CardImage.renderCover(cards, date, opts),
+      ...cards.map((card) => (opts) => CardImage.render(card, opts)),
+      (opts) => CardImage.renderOutro(cards, opts)
+    ];
+
+    const files = [];
+    for (let i = 0; i < draws.length; i++) {
+      const opts = { ...base, marker: (i + 1) + '/' + total };
+      const blob = await CardImage.toBlob(await draws[i](opts), opts);
+      const extension = Object.values(CardImage.FORMATS).find((f) => f.type === blob.type).extension;
+      files.push(new File([blob], slideName(i, total, extension), { type: blob.type }));
+      if (onProgress) onProgress(i + 1, total);
+    }
+    return files;
+  }
+
+  // 01-of-12.png, so the slides sort in order wherever they land
+  function slideName(index, total, extension) {
+    const width = String(total).length;
+    return String(index + 1).padStart(width, '0') + '-of-' + total + '.' + extension;
+  }
+
+  /**
+   * File name for the packed edition, e.g. ai-for-grandmas-2026-10-19.zip
+   * @param {string|null} date - Edition date (YYYY-MM-DD)
+   * @param {string} extension
+   * @returns {string}
+   */
+  function fileName(date, extension) {
+    return 'ai-for-grandmas-' + (date || new Date().toISOString().slice(0, 10)) + '.' + extension;
+  }
+
+  // ── ZIP (stored, no compression) ──
+  const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      table[n] = c >>> 0;
+    }
+    return table;
+  })();
+
+  function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Little-endian header fields: [value, byteLength] pairs
+  function fields(list) {
+    const out = new Uint8Array(list.reduce((sum, [, size]) => sum + size, 0));
+    const view = new DataView(out.buffer);
+    let offset = 0;
+    list.forEach(([value, size]) => {
+      if (size === 2) view.setUint16(offset, value, true);
+      else view.setUint32(offset, value, true);
+      offset += size;
+    });
+    return out;
+  }
+
+  function dosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  /**
+   * Pack files into a ZIP archive.
+   * @param {File[]} files
+   * @returns {Promise<Blob>}
+   */
+  async function toZip(files) {
+    const encoder = new TextEncoder();
+    const stamp = dosDateTime(new Date());
+    const parts = [];
+    const directory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const data = new Uint8Array(await file.arrayBuffer());
+      const name = encoder.encode(file.name);
+      const crc = crc32(data);
+      // Version 2.0, UTF-8 names (flag bit 11), method 0 (stored)
+      const common = [[20, 2], [0x0800, 2], [0, 2], [stamp.time, 2], [stamp.date, 2],
+        [crc, 4], [data.length, 4], [data.length, 4], [name.length, 2], [0, 2]];
+
+      parts.push(fields([[0x04034B50, 4], ...common]), name, data);
+      directory.push(fields([[0x02014B50, 4], [20, 2], ...common, [0, 2], [0, 2], [0, 2], [0, 4], [offset, 4]]), name);
+      offset += 30 + name.length + data.length;
+    }
+
+    const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+    const end = fields([[0x06054B50, 4], [0, 2], [0, 2], [files.length, 2], [files.length, 2],
+      [directorySize, 4], [offset, 4], [0, 2]]);
+    return new Blob([...parts, ...directory, end], { type: 'application/zip' });
+  }
+
+  // ── PDF (one JPEG slide per page) ──
+  /**
+   * Lay JPEG slides out as pages of a PDF.
+   * @param {File[]} files - JPEG images, all width x height
+   * @param {number} width - Slide width in pixels
+   * @param {number} height - Slide height in pixels
+   * @returns {Promise<Blob>}
+   */
+  async function toPdf(files, width, height) {
+    const encoder = new TextEncoder();
+    const pageW = Math.round(width * PDF_SCALE);
+    const pageH = Math.round(height * PDF_SCALE);
+    const parts = [];
+    const offsets = [];
+    let length = 0;
+
+    function write(part) {
+      const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+      parts.push(bytes);
+      length += bytes.length;
+    }
+
+    function object(id, body) {
+      offsets[id] = length;
+      write(id + ' 0 obj\n');
+      body.forEach(write);
+      write('\nendobj\n');
+    }
+
+    // Objects: 1 catalog, 2 page tree, then page, content and image for each slide
+    const pageIds = files.map((file, i) => 3 + i * 3);
+    write('%PDF-1.4\n%âãÏÓ\n');
+    object(1, ['<< /Type /Catalog /Pages 2 0 R >>']);
+    object(2, ['<< /Type /Pages /Kids [' + pageIds.map((id) => id + ' 0 R').join(' ') + '] /Count ' + files.length + ' >>']);
+
+    for (let i = 0; i < files.length; i++) {
+      const id = pageIds[i];
+      const jpeg = new Uint8Array(await files[i].arrayBuffer());
+      const content = 'q ' + pageW + ' 0 0 ' + pageH + ' 0 0 cm /Slide Do Q';
+      object(id, ['<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + pageW + ' ' + pageH + '] ' +
+        '/Resources << /XObject << /Slide ' + (id + 2) + ' 0 R >> >> /Contents ' + (id + 1) + ' 0 R >>']);
+      object(id + 1, ['<< /Length ' + content.length + ' >>\nstream\n' + content + '\nendstream']);
+      object(id + 2, ['<< /Type /XObject /Subtype /Image /Width ' + width + ' /Height ' + height +
+        ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ' + jpeg.length + ' >>\nstream\n',
+      jpeg, '\nendstream']);
+    }
+
+    const xref = length;
+    const count = 3 + files.length * 3;
+    let table = 'xref\n0 ' + count + '\n0000000000 65535 f \n';
+    for (let id = 1; id < count; id++) table += String(offsets[id]).padStart(10, '0') + ' 00000 n \n';
+    write(table + 'trailer\n<< /Size ' + count + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n');
+    return new Blob(parts, { type: 'application/pdf' });
+  }
+
+  return { PRESET, canShareFiles, renderSlides, fileName, toZip, toPdf };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditionExport;
+}
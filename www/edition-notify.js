@@ -0,0 +1,81 @@
+/**
+ * AI for Grandmas — Edition Change Detection
+ *
+ * Decides whether an edition is new to this reader and builds the "fresh
+ * cards" notification for it. Shared by the page (app.js), the service worker
+ * (periodic sync and push) and the push sender (scripts/push/send.js), so all
+ * three agree on what "new" means and where the notification leads. The text
+ * is in whatever locale I18n is set to.
+ */
+
+const EditionNotify = (() => {
+  'use strict';
+
+  const Strings = typeof I18n !== 'undefined' ? I18n : require('./i18n.js');
+
+  /**
+   * Identify an edition. A re-generated edition on the same date counts as new.
+   * @param {Object} edition - Parsed edition JSON
+   * @returns {string}
+   */
+  function id(edition) {
+    return (edition.date || '') + '@' + (edition.generated_at || '');
+  }
+
+  /**
+   * What to remember once the reader has opened an edition.
+   * @param {Object} edition
+   * @returns {{ id: string, cardIds: string[] }}
+   */
+  function seenRecord(edition) {
+    return { id: id(edition), cardIds: (edition.cards || []).map((c) => c.id) };
+  }
+
+  /**
+   * Cards the reader hasn't seen, compared with the last edition they opened.
+   * Card ids are per-day sequence numbers (holy-shit-001 is in every edition),
+   * so they're only compared within the same date: a re-generated edition
+   * announces just its added cards, a new day's edition all of them.
+   * @param {Object} edition
+   * @param {{ id: string, cardIds: string[] }|null} seen - From seenRecord()
+   * @returns {{ isNew: boolean, newCards: Object[] }}
+   */
+  function diff(edition, seen) {
+    const cards = edition.cards || [];
+    if (!seen) return { isNew: true, newCards: cards };
+    if (seen.id === id(edition)) return { isNew: false, newCards: [] };
+    if ((seen.id || '').split('@')[0] !== (edition.date || '')) return { isNew: true, newCards: cards };
+    const seenIds = seen.cardIds || [];
+    return { isNew: true, newCards: cards.filter((c) => !seenIds.includes(c.id)) };
+  }
+
+  /**
+   * Build the notification for an edition.
+   * @param {Object} edition
+   * @param {{ id: string, cardIds: string[] }|null} seen
+   * @returns {{ title: string, body: string, tag: string, url: string, cardId: string, edition: string }|null}
+   *   null when nothing is new
+   */
+  function notification(edition, seen) {
+    const { isNew, newCards } = diff(edition, seen);
+    if (!isNew || newCards.length === 0) return null;
+
+    const lead = newCards[0];
+    const count = Strings.t('notify.count', { count: newCards.length });
+    return {
+      title: Strings.t('notify.title'),
+      body: count + ' · ' + lead.emoji + ' ' + lead.title,
+      tag: 'afg-edition-' + edition.date,
+      url: './?card=' + encodeURIComponent(lead.id),
+      cardId: lead.id,
+      edition: id(edition)
+    };
+  }
+
+  return { id, seenRecord, diff, notification };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = EditionNotify;
+}
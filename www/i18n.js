@@ -0,0 +1,479 @@
+/**
+ * AI for Grandmas — UI Strings
+ *
+ * The string catalog for every locale we ship, plus locale detection and
+ * lookup. Shared by the page, the service worker (notification text) and the
+ * push sender. Messages take {name} placeholders; a message that depends on a
+ * count is an object keyed by plural category ({ one, other, ... }).
+ *
+ * Adding a locale: copy the `en` block, translate it, and add its name to
+ * NAMES. Missing keys fall back to English. Editions are localized separately
+ * (data/latest.<locale>.json, see README).
+ */
+
+const I18n = (() => {
+  'use strict';
+
+  const FALLBACK = 'en';
+  const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur', 'yi'];
+
+  const NAMES = {
+    en: 'English',
+    es: 'Español'
+  };
+
+  const CATALOGS = {
+    en: {
+      'app.name': 'AI for Grandmas',
+      'app.loading': 'Brewing today’s stories...',
+      'app.share': 'Your daily AI news in 5 minutes — explained by a grandma who actually gets it.',
+      'common.close': 'Close',
+      'common.dismiss': 'Dismiss',
+
+      'topbar.readAloud': 'Read to me',
+      'topbar.stats': 'Reading stats',
+      'topbar.settings': 'Settings',
+      'topbar.archive': 'Past editions',
+      'topbar.saved': 'Saved cards ({count})',
+
+      'deck.label': 'Today’s cards. Use the arrow keys or space to move between cards.',
+      'deck.dots': 'Jump to card',
+      'deck.welcome': 'Welcome',
+      'deck.card': 'Card {number} of {total}',
+      'deck.end': 'End of the cards',
+      'deck.goWelcome': 'Go to welcome card',
+      'deck.goCard': 'Go to card {number}: {title}',
+      'deck.goEnd': 'Go to the end',
+      'deck.hint': 'Swipe up for next',
+
+      'card.readMore': 'Read more',
+      'card.save': 'Save this card',
+      'card.share': 'Share this card',
+      'card.saved': 'Saved',
+      'card.unsaved': 'Removed from saved',
+      'card.readAgain': 'Read again',
+
+      'welcome.title': 'Welcome, honey',
+      'welcome.body': 'I’m your daily AI news digest. 5-8 cards, ~3 minutes, zero jargon. Swipe up to read, double-tap to save, and share anything worth talking about.',
+
+      'end.title': 'That’s your daily dose, honey',
+      'end.subtitle': 'You’re all caught up. Go make something beautiful.',
+      'end.streak': '{count} day streak!',
+      'end.freeze': 'A streak freeze covered yesterday. Earn another by reading 7 days in a row.',
+      'end.total': { one: '{count} card read total', other: '{count} cards read total' },
+      'end.share': 'Share with a friend',
+      'end.notifyOn': '🔔 Daily ping is on · turn off',
+      'end.notifyOff': '🔕 Ping me when new cards land',
+      'end.hidden': { one: '{count} card hidden by your settings', other: '{count} cards hidden by your settings' },
+      'end.showHidden': 'Show hidden cards',
+      'end.hideHidden': 'Hide them again',
+      'end.shareEdition': 'Share this edition as a carousel',
+      'end.downloadZip': 'Download this edition (pictures)',
+      'end.downloadPdf': 'Download as PDF',
+      'end.rendering': 'Making slide {done} of {total}…',
+      'end.shareSlides': 'Share {count} slides',
+
+      'streak.badge': 'Day {count}',
+      'streak.freezeUsed': 'A streak freeze covered yesterday',
+
+      'saved.title': 'Saved Cards',
+      'saved.search': 'Search saved cards',
+      'saved.sort': 'Sort saved cards',
+      'saved.sortNewest': 'Newest first',
+      'saved.sortOldest': 'Oldest first',
+      'saved.sortType': 'By type',
+      'saved.all': 'All',
+      'saved.export': 'Export',
+      'saved.import': 'Import',
+      'saved.remove': 'Remove from saved',
+      'saved.empty': 'No saved cards yet. Double-tap any card to save it.',
+      'saved.noMatch': 'Nothing saved matches “{query}”, sweetie.',
+      'saved.noType': 'No {type} cards saved yet.',
+      'saved.imported': { one: 'Imported {count} card.', other: 'Imported {count} cards.' },
+      'saved.skipped': '{count} already saved.',
+
+      'archive.title': 'Past Editions',
+      'archive.loading': 'Dusting off the old editions...',
+      'archive.empty': 'No past editions yet. Check back tomorrow, honey.',
+      'archive.cards': { one: '{count} card', other: '{count} cards' },
+      'archive.today': 'Today',
+      'archive.offline': 'Not available offline',
+      'archive.banner': '{date} edition',
+      'archive.back': 'Back to today',
+
+      'offline.banner': 'Showing cached cards — connect to refresh',
+
+      'install.title': 'Add to Home Screen',
+      'install.text': 'for the full experience',
+      'install.button': 'Install',
+
+      'update.title': 'Grandma has an update',
+      'update.button': 'Refresh',
+
+      'stats.title': 'Your Reading',
+      'stats.streak': 'day streak',
+      'stats.longest': 'longest streak',
+      'stats.days': { one: 'day read', other: 'days read' },
+      'stats.cards': { one: 'card read', other: 'cards read' },
+      'stats.freezes': { one: 'streak freeze ready', other: 'streak freezes ready' },
+      'stats.frozen': { one: 'day saved by a freeze', other: 'days saved by a freeze' },
+      'stats.weeks': 'Last 12 weeks',
+      'stats.dayRead': { one: '{date}: {count} card read', other: '{date}: {count} cards read' },
+      'stats.dayFrozen': '{date}: covered by a streak freeze',
+      'stats.byType': 'Cards read by type',
+      'stats.nothingRead': 'Nothing read yet, honey. Swipe up!',
+      'stats.saved': 'Saved',
+      'stats.savedNone': 'Read a few cards and I’ll tell you how many you kept.',
+      'stats.savedRatio': 'You saved {saved} of the {read} cards you read ({percent}%).',
+
+      'reader.back': '← Back to cards',
+      'reader.external': 'Open in browser',
+      'reader.hint': 'Blank page? Some sites only open in the browser.',
+
+      'readAloud.label': 'Read to me',
+      'readAloud.pause': 'Pause reading',
+      'readAloud.resume': 'Resume reading',
+      'readAloud.stop': 'Stop reading',
+      'readAloud.speed': 'Speed',
+
+      'settings.title': 'Settings',
+      'settings.textSize': 'Text size',
+      'settings.size.small': 'Small',
+      'settings.size.normal': 'Normal',
+      'settings.size.large': 'Large',
+      'settings.size.larger': 'Larger',
+      'settings.size.largest': 'Largest',
+      'settings.theme': 'Theme',
+      'settings.themeSystem': 'Same as my device',
+      'settings.themeLight': 'Light',
+      'settings.themeDark': 'Dark',
+      'settings.contrast': 'High contrast',
+      'settings.motion': 'Reduce motion',
+      'settings.language': 'Language',
+      'settings.languageAuto': 'Same as my device',
+      'settings.types': 'Card types',
+      'settings.typesHint': 'Choose what goes in your daily deck. The cookie always comes last.',
+      'settings.pref.show': 'Show',
+      'settings.pref.priority': 'Show first',
+      'settings.pref.hide': 'Hide',
+
+      'notify.title': 'Fresh cards from Grandma 🧓',
+      'notify.count': { one: '{count} new card', other: '{count} new cards' },
+      'notify.generic': 'Today’s cards are ready — come have a look.',
+
+      'image.brand': '🧓  AI for Grandmas',
+      'image.footer': 'swipe daily  ·  aigrandmas.com',
+
+      'share.title': 'Share as a picture',
+      'share.preview': 'Preview of the picture',
+      'share.preset': 'Size',
+      'share.preset.story': 'Story (tall)',
+      'share.preset.square': 'Feed post (square)',
+      'share.preset.link': 'Link preview (wide)',
+      'share.theme': 'Look',
+      'share.format': 'File type',
+      'share.format.png': 'PNG (sharpest)',
+      'share.format.jpeg': 'JPEG (smaller)',
+      'share.format.webp': 'WebP (smallest)',
+      'share.quality': 'Quality',
+      'share.button': 'Share picture',
+      'share.working': 'Making your picture…',
+      'share.asText': 'Share as text instead',
+
+      'carousel.heading': 'AI news, explained simply',
+      'carousel.count': { one: '{count} card', other: '{count} cards' },
+      'carousel.swipe': 'Swipe for the stories  →',
+      'carousel.outroTitle': 'That’s the whole edition',
+      'carousel.outroBody': 'A fresh deck of AI news lands every morning. Swipe daily at aigrandmas.com',
+
+      'type.holy_shit': 'BIG NEWS',
+      'type.holy_shit.description': 'The one story you can’t miss today',
+      'type.quick_bite': 'QUICK BITE',
+      'type.quick_bite.description': 'News you can read in under a minute',
+      'type.tool_drop': 'TOOL DROP',
+      'type.tool_drop.description': 'A new tool worth a try',
+      'type.try_this': 'TRY THIS',
+      'type.try_this.description': 'A hands-on tip for your workflow',
+      'type.bs_detector': 'BS DETECTOR',
+      'type.bs_detector.description': 'Hype, held up to the light',
+      'type.cookie': 'COOKIE',
+      'type.cookie.description': 'Grandma’s closing thought'
+    },
+
+    es: {
+      'app.name': 'IA para Abuelas',
+      'app.loading': 'Preparando las historias de hoy...',
+      'app.share': 'Tus noticias diarias de IA en 5 minutos, explicadas por una abuela que de verdad las entiende.',
+      'common.close': 'Cerrar',
+      'common.dismiss': 'Descartar',
+
+      'topbar.readAloud': 'Léemelo',
+      'topbar.stats': 'Estadísticas de lectura',
+      'topbar.settings': 'Ajustes',
+      'topbar.archive': 'Ediciones anteriores',
+      'topbar.saved': 'Tarjetas guardadas ({count})',
+
+      'deck.label': 'Las tarjetas de hoy. Usa las flechas o la barra espaciadora para pasar de una a otra.',
+      'deck.dots': 'Ir a la tarjeta',
+      'deck.welcome': 'Bienvenida',
+      'deck.card': 'Tarjeta {number} de {total}',
+      'deck.end': 'Fin de las tarjetas',
+      'deck.goWelcome': 'Ir a la bienvenida',
+      'deck.goCard': 'Ir a la tarjeta {number}: {title}',
+      'deck.goEnd': 'Ir al final',
+      'deck.hint': 'Desliza hacia arriba',
+
+      'card.readMore': 'Leer más',
+      'card.save': 'Guardar esta tarjeta',
+      'card.share': 'Compartir esta tarjeta',
+      'card.saved': 'Guardada',
+      'card.unsaved': 'Quitada de guardadas',
+      'card.readAgain': 'Volver a leer',
+
+      'welcome.title': 'Bienvenido, cariño',
+      'welcome.body': 'Soy tu resumen diario de noticias de IA. De 5 a 8 tarjetas, unos 3 minutos, cero jerga. Desliza hacia arriba para leer, toca dos veces para guardar y comparte lo que valga la pena.',
+
+      'end.title': 'Esa es tu dosis diaria, cariño',
+      'end.subtitle': 'Ya estás al día. Ve a hacer algo bonito.',
+      'end.streak': { one: '¡{count} día seguido!', other: '¡{count} días seguidos!' },
+      'end.freeze': 'Un comodín de racha cubrió el día de ayer. Gana otro leyendo 7 días seguidos.',
+      'end.total': { one: '{count} tarjeta leída en total', other: '{count} tarjetas leídas en total' },
+      'end.share': 'Compartir con una amiga',
+      'end.notifyOn': '🔔 Aviso diario activado · desactivar',
+      'end.notifyOff': '🔕 Avísame cuando haya tarjetas nuevas',
+      'end.hidden': { one: '{count} tarjeta oculta por tus ajustes', other: '{count} tarjetas ocultas por tus ajustes' },
+      'end.showHidden': 'Mostrar las ocultas',
+      'end.hideHidden': 'Volver a ocultarlas',
+      'end.shareEdition': 'Compartir esta edición en carrusel',
+      'end.downloadZip': 'Descargar esta edición (imágenes)',
+      'end.downloadPdf': 'Descargar en PDF',
+      'end.rendering': 'Preparando imagen {done} de {total}…',
+      'end.shareSlides': 'Compartir {count} imágenes',
+
+      'streak.badge': 'Día {count}',
+      'streak.freezeUsed': 'Un comodín de racha cubrió el día de ayer',
+
+      'saved.title': 'Tarjetas guardadas',
+      'saved.search': 'Buscar en guardadas',
+      'saved.sort': 'Ordenar guardadas',
+      'saved.sortNewest': 'Más recientes',
+      'saved.sortOldest': 'Más antiguas',
+      'saved.sortType': 'Por tipo',
+      'saved.all': 'Todas',
+      'saved.export': 'Exportar',
+      'saved.import': 'Importar',
+      'saved.remove': 'Quitar de guardadas',
+      'saved.empty': 'Aún no has guardado nada. Toca dos veces una tarjeta para guardarla.',
+      'saved.noMatch': 'Nada de lo guardado coincide con “{query}”, cielo.',
+      'saved.noType': 'Aún no hay tarjetas {type} guardadas.',
+      'saved.imported': { one: 'Se importó {count} tarjeta.', other: 'Se importaron {count} tarjetas.' },
+      'saved.skipped': { one: '{count} ya estaba guardada.', other: '{count} ya estaban guardadas.' },
+
+      'archive.title': 'Ediciones anteriores',
+      'archive.loading': 'Desempolvando las ediciones viejas...',
+      'archive.empty': 'Todavía no hay ediciones anteriores. Vuelve mañana, cariño.',
+      'archive.cards': { one: '{count} tarjeta', other: '{count} tarjetas' },
+      'archive.today': 'Hoy',
+      'archive.offline': 'No disponible sin conexión',
+      'archive.banner': 'Edición del {date}',
+      'archive.back': 'Volver a hoy',
+
+      'offline.banner': 'Mostrando tarjetas guardadas — conéctate para actualizar',
+
+      'install.title': 'Añádela a tu pantalla de inicio',
+      'install.text': 'para disfrutarla al completo',
+      'install.button': 'Instalar',
+
+      'update.title': 'La abuela tiene una actualización',
+      'update.button': 'Actualizar',
+
+      'stats.title': 'Tu lectura',
+      'stats.streak': 'días de racha',
+      'stats.longest': 'racha más larga',
+      'stats.days': { one: 'día de lectura', other: 'días de lectura' },
+      'stats.cards': { one: 'tarjeta leída', other: 'tarjetas leídas' },
+      'stats.freezes': { one: 'comodín de racha disponible', other: 'comodines de racha disponibles' },
+      'stats.frozen': { one: 'día salvado por un comodín', other: 'días salvados por un comodín' },
+      'stats.weeks': 'Últimas 12 semanas',
+      'stats.dayRead': { one: '{date}: {count} tarjeta leída', other: '{date}: {count} tarjetas leídas' },
+      'stats.dayFrozen': '{date}: cubierto por un comodín de racha',
+      'stats.byType': 'Tarjetas leídas por tipo',
+      'stats.nothingRead': 'Aún no has leído nada, cariño. ¡Desliza hacia arriba!',
+      'stats.saved': 'Guardadas',
+      'stats.savedNone': 'Lee unas cuantas tarjetas y te diré cuántas te quedaste.',
+      'stats.savedRatio': 'Guardaste {saved} de las {read} tarjetas que leíste ({percent}%).',
+
+      'reader.back': '← Volver a las tarjetas',
+      'reader.external': 'Abrir en el navegador',
+      'reader.hint': '¿Página en blanco? Algunas webs solo se abren en el navegador.',
+
+      'readAloud.label': 'Léemelo',
+      'readAloud.pause': 'Pausar lectura',
+      'readAloud.resume': 'Reanudar lectura',
+      'readAloud.stop': 'Detener lectura',
+      'readAloud.speed': 'Velocidad',
+
+      'settings.title': 'Ajustes',
+      'settings.textSize': 'Tamaño del texto',
+      'settings.size.small': 'Pequeño',
+      'settings.size.normal': 'Normal',
+      'settings.size.large': 'Grande',
+      'settings.size.larger': 'Más grande',
+      'settings.size.largest': 'Enorme',
+      'settings.theme': 'Tema',
+      'settings.themeSystem': 'Igual que mi dispositivo',
+      'settings.themeLight': 'Claro',
+      'settings.themeDark': 'Oscuro',
+      'settings.contrast': 'Alto contraste',
+      'settings.motion': 'Reducir movimiento',
+      'settings.language': 'Idioma',
+      'settings.languageAuto': 'Igual que mi dispositivo',
+      'settings.types': 'Tipos de tarjeta',
+      'settings.typesHint': 'Elige qué aparece en tus tarjetas diarias. La galleta siempre va al final.',
+      'settings.pref.show': 'Mostrar',
+      'settings.pref.priority': 'Mostrar primero',
+      'settings.pref.hide': 'Ocultar',
+
+      'notify.title': 'Tarjetas nuevas de la abuela 🧓',
+      'notify.count': { one: '{count} tarjeta nueva', other: '{count} tarjetas nuevas' },
+      'notify.generic': 'Las tarjetas de hoy están listas: ven a echar un vistazo.',
+
+      'image.brand': '🧓  IA para Abuelas',
+      'image.footer': 'desliza cada día  ·  aigrandmas.com',
+
+      'share.title': 'Compartir como imagen',
+      'share.preview': 'Vista previa de la imagen',
+      'share.preset': 'Tamaño',
+      'share.preset.story': 'Historia (vertical)',
+      'share.preset.square': 'Publicación (cuadrada)',
+      'share.preset.link': 'Vista previa de enlace (ancha)',
+      'share.theme': 'Aspecto',
+      'share.format': 'Tipo de archivo',
+      'share.format.png': 'PNG (más nítida)',
+      'share.format.jpeg': 'JPEG (más ligera)',
+      'share.format.webp': 'WebP (la más ligera)',
+      'share.quality': 'Calidad',
+      'share.button': 'Compartir imagen',
+      'share.working': 'Preparando tu imagen…',
+      'share.asText': 'Compartir como texto',
+
+      'carousel.heading': 'Noticias de IA, explicadas fácil',
+      'carousel.count': { one: '{count} tarjeta', other: '{count} tarjetas' },
+      'carousel.swipe': 'Desliza para ver las noticias  →',
+      'carousel.outroTitle': 'Esa es toda la edición',
+      'carousel.outroBody': 'Cada mañana llegan tarjetas nuevas sobre IA. Desliza cada día en aigrandmas.com',
+
+      'type.holy_shit': 'NOTICIÓN',
+      'type.holy_shit.description': 'La noticia que no te puedes perder hoy',
+      'type.quick_bite': 'BOCADITO',
+      'type.quick_bite.description': 'Noticias que se leen en menos de un minuto',
+      'type.tool_drop': 'HERRAMIENTA',
+      'type.tool_drop.description': 'Una herramienta nueva que vale la pena probar',
+      'type.try_this': 'PRUEBA ESTO',
+      'type.try_this.description': 'Un truco práctico para tu día a día',
+      'type.bs_detector': 'DETECTOR DE PAJA',
+      'type.bs_detector.description': 'El bombo, visto a contraluz',
+      'type.cookie': 'GALLETA',
+      'type.cookie.description': 'La reflexión final de la abuela'
+    }
+  };
+
+  let current = FALLBACK;
+
+  function baseLanguage(tag) {
+    return String(tag || '').toLowerCase().split(/[-_]/)[0];
+  }
+
+  /**
+   * Pick the first supported locale from the browser's preferences.
+   * @param {string[]} [preferred] - navigator.languages
+   * @returns {string}
+   */
+  function detect(preferred) {
+    const match = (preferred || []).map(baseLanguage).find((lang) => CATALOGS[lang]);
+    return match || FALLBACK;
+  }
+
+  /**
+   * Resolve the Settings language choice ('auto' or a locale) to a locale.
+   * @param {string} [choice]
+   * @param {string[]} [preferred] - navigator.languages
+   * @returns {string}
+   */
+  function resolve(choice, preferred) {
+    if (choice && choice !== 'auto' && CATALOGS[baseLanguage(choice)]) return baseLanguage(choice);
+    return detect(preferred);
+  }
+
+  function setLocale(locale) {
+    current = CATALOGS[baseLanguage(locale)] ? baseLanguage(locale) : FALLBACK;
+    return current;
+  }
+
+  function locale() {
+    return current;
+  }
+
+  function locales() {
+    return Object.keys(CATALOGS).map((id) => ({ id, name: NAMES[id] || id }));
+  }
+
+  function dir(tag = current) {
+    return RTL_LANGUAGES.includes(baseLanguage(tag)) ? 'rtl' : 'ltr';
+  }
+
+  /**
+   * Look up a message in the current locale, falling back to English.
+   * @param {string} key
+   * @param {Object} [params] - Placeholder values; `count` also picks the plural form
+   * @param {string} [fallback] - Used when no catalog has the key (e.g. custom card types)
+   * @returns {string}
+   */
+  function t(key, params = {}, fallback) {
+    let message = key in CATALOGS[current] ? CATALOGS[current][key] : CATALOGS[FALLBACK][key];
+    if (message === undefined) message = fallback !== undefined ? fallback : key;
+
+    if (typeof message === 'object') {
+      const category = typeof Intl !== 'undefined' && Intl.PluralRules
+        ? new Intl.PluralRules(current).select(params.count)
+        : (params.count === 1 ? 'one' : 'other');
+      message = message[category] || message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+  }
+
+  /**
+   * Where today's edition lives in a locale: data/latest.json → data/latest.es.json.
+   * @param {string} url - The English edition URL
+   * @param {string} [tag]
+   * @returns {string|null} null for English, which has no suffix
+   */
+  function editionUrl(url, tag = current) {
+    const lang = baseLanguage(tag);
+    return lang === FALLBACK ? null : url.replace(/\.json$/, '.' + lang + '.json');
+  }
+
+  /**
+   * Translate static markup: data-i18n sets the text, data-i18n-attr sets
+   * attributes ("aria-label:key; placeholder:key").
+   * @param {ParentNode} root
+   */
+  function translatePage(root) {
+    root.querySelectorAll('[data-i18n]').forEach((el) => {
+      el.textContent = t(el.dataset.i18n);
+    });
+    root.querySelectorAll('[data-i18n-attr]').forEach((el) => {
+      el.dataset.i18nAttr.split(';').forEach((pair) => {
+        const [attr, key] = pair.split(':').map((s) => s.trim());
+        if (attr && key) el.setAttribute(attr, t(key));
+      });
+    });
+  }
+
+  return { FALLBACK, detect, resolve, setLocale, locale, locales, dir, t, editionUrl, translatePage };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = I18n;
+}
@@ -0,0 +1,138 @@
+/**
+ * AI for Grandmas — Card Image Cache
+ *
+ * Used by the service worker (sw.js). Card images (`image_url`, usually from
+ * a remote generator) get a cache of their own, so they outlive app updates
+ * and keep working offline, but within a byte budget: once it's exceeded the
+ * least recently used images are dropped. The page falls back to CardArt for
+ * any image that isn't there.
+ *
+ * The Cache API doesn't record when an entry was last used, so an index of
+ * url → { bytes, used } lives in the same cache as a JSON entry. Only CORS
+ * responses are kept. An opaque (no-cors) one can't be drawn to a canvas
+ * (the share image) or measured, and Chrome counts each as ~7 MB of quota,
+ * so a handful would fill the budget; hosts that don't allow CORS get the
+ * generated art offline instead.
+ */
+
+const ImageCache = (() => {
+  'use strict';
+
+  const NAME = 'afg-images';
+  const INDEX_KEY = './image-cache-index.json';
+
+  let budget = 30 * 1024 * 1024;
+  let indexQueue = Promise.resolve(); // Index updates run one at a time
+
+  function setBudget(bytes) {
+    budget = bytes;
+  }
+
+  /**
+   * Which images to drop to get back under budget, least recently used first.
+   * @param {Object<string, { bytes: number, used: number }>} index
+   * @param {number} maxBytes
+   * @returns {string[]} urls
+   */
+  function evictionPlan(index, maxBytes) {
+    let total = Object.keys(index).reduce((sum, url) => sum + index[url].bytes, 0);
+    const plan = [];
+    Object.keys(index)
+      .sort((a, b) => index[a].used - index[b].used)
+      .forEach((url) => {
+        if (total <= maxBytes) return;
+        total -= index[url].bytes;
+        plan.push(url);
+      });
+    return plan;
+  }
+
+  async function readIndex(cache) {
+    const response = await cache.match(INDEX_KEY);
+    if (!response) return {};
+    try {
+      return await response.json();
+    } catch {
+      return {};
+    }
+  }
+
+  // Change the index, then evict whatever no longer fits
+  function updateIndex(change) {
+    indexQueue = indexQueue.then(async () => {
+      const cache = await caches.open(NAME);
+      const index = await readIndex(cache);
+      change(index);
+      const evicted = evictionPlan(index, budget);
+      evicted.forEach((url) => { delete index[url]; });
+      await Promise.all(evicted.map((url) => cache.delete(url)));
+      await cache.put(INDEX_KEY, new Response(JSON.stringify(index), {
+        headers: { 'Content-Type': 'application/json' }
+      }));
+    }).catch((e) => {
+      console.log('Image cache index update failed:', e);
+    });
+    return indexQueue;
+  }
+
+  // Opaque responses report ok: false, so they're never cached
+  function cacheable(response) {
+    return response.ok;
+  }
+
+  async function store(url, response) {
+    const bytes = (await response.clone().blob()).size;
+    const cache = await caches.open(NAME);
+    await cache.put(url, response);
+    await updateIndex((index) => { index[url] = { bytes, used: Date.now() }; });
+  }
+
+  /**
+   * Cache-first fetch for a card image. Offline and uncached, it answers
+   * 503 so the page's <img> errors and shows generated art instead.
+   * @param {Request} request
+   * @returns {Promise<Response>}
+   */
+  async function handle(request) {
+    const cache = await caches.open(NAME);
+    const cached = await cache.match(request.url);
+    // Older versions kept opaque entries; never serve those
+    if (cached && cached.type !== 'opaque') {
+      updateIndex((index) => { if (index[request.url]) index[request.url].used = Date.now(); });
+      return cached;
+    }
+
+    try {
+      const response = await fetch(request);
+      if (cacheable(response)) await store(request.url, response.clone());
+      return response;
+    } catch {
+      return new Response('', { status: 503 });
+    }
+  }
+
+  /**
+   * Fetch and cache images that aren't cached yet (today's card art).
+   * @param {string[]} urls
+   */
+  async function prefetch(urls) {
+    const cache = await caches.open(NAME);
+    for (const url of urls) {
+      if (await cache.match(url)) continue;
+      try {
+        const response = await fetch(url, { mode: 'cors' });
+        if (cacheable(response)) await store(url, response);
+      } catch {
+        // Offline, or the host doesn't allow CORS — the page shows generated
+        // art whenever the image can't be loaded
+      }
+    }
+  }
+
+  return { NAME, setBudget, evictionPlan, handle, prefetch };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ImageCache;
+}
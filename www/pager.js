@@ -0,0 +1,75 @@
+/**
+ * AI for Grandmas — Vertical Pager
+ *
+ * Stand-in for Swiper if vendor/swiper didn't load, so the deck still works.
+ * Covers the part of Swiper's API app.js uses (activeIndex, slideTo,
+ * slideNext, slidePrev, destroy and the init/slideChange events) on top of
+ * plain scrolling with CSS scroll snap (`.pager` in style.css).
+ */
+
+const VerticalPager = (() => {
+  'use strict';
+
+  const SETTLE_MS = 100; // Scrolling stopped this long = landed on a slide
+
+  /**
+   * @param {string} selector - The .swiper container
+   * @param {{ speed?: number, on?: { init?: function, slideChange?: function } }} [params]
+   *   Same shape as Swiper's; handlers are called with the pager as `this`
+   * @returns {Object} Swiper-like pager
+   */
+  function create(selector, params = {}) {
+    const el = document.querySelector(selector);
+    const wrapper = el.querySelector('.swiper-wrapper');
+    const handlers = params.on || {};
+    let settleTimer = null;
+
+    const pager = {
+      activeIndex: 0,
+      slideTo(index, speed = params.speed) {
+        const slides = wrapper.children;
+        if (slides.length === 0) return;
+        const target = Math.max(0, Math.min(index, slides.length - 1));
+        el.scrollTo({ top: slides[target].offsetTop, behavior: speed === 0 ? 'auto' : 'smooth' });
+        setActive(target);
+      },
+      slideNext() {
+        pager.slideTo(pager.activeIndex + 1);
+      },
+      slidePrev() {
+        pager.slideTo(pager.activeIndex - 1);
+      },
+      destroy() {
+        clearTimeout(settleTimer);
+        el.removeEventListener('scroll', onScroll);
+        el.classList.remove('pager');
+      }
+    };
+
+    function setActive(index) {
+      if (index === pager.activeIndex) return;
+      pager.activeIndex = index;
+      if (handlers.slideChange) handlers.slideChange.call(pager);
+    }
+
+    function onScroll() {
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => {
+        if (el.clientHeight > 0) setActive(Math.round(el.scrollTop / el.clientHeight));
+      }, SETTLE_MS);
+    }
+
+    el.classList.add('pager');
+    el.scrollTop = 0;
+    el.addEventListener('scroll', onScroll, { passive: true });
+    if (handlers.init) handlers.init.call(pager);
+    return pager;
+  }
+
+  return { create };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VerticalPager;
+}
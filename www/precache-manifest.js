@@ -0,0 +1,142 @@
+// Generated by scripts/build-precache.js — do not edit.
+self.PRECACHE_MANIFEST = {
+  "version": "e60ed172cffb",
+  "files": [
+    {
+      "url": "./",
+      "integrity": "sha256-tOEnhyGqQtQ5TlQa8++o7HHB+leazHIeUof6BWSL48c="
+    },
+    {
+      "url": "./app.js",
+      "integrity": "sha256-W5STvaX4xTY6NspPJqlmHJWbhB9VBAAEBEA/mg3mmf0="
+    },
+    {
+      "url": "./art.js",
+      "integrity": "sha256-Qaf8i8fLnu33enBMozvKWZbJhvuv+Ej+fwJvD4XDnPk="
+    },
+    {
+      "url": "./card-image.js",
+      "integrity": "sha256-5ITnqaS5MJ0xb3ybJr2Hq1vDPeXni8H8OgavSSEdC+U="
+    },
+    {
+      "url": "./card-types.js",
+      "integrity": "sha256-eCaTjRXjkgLcS77XW6uub6Oz1inXlXwk1PF6syKG+2Q="
+    },
+    {
+      "url": "./deep-link.js",
+      "integrity": "sha256-pftklgrKRLBzY6+iky4cTliU9TtKneL19510bAhIiAQ="
+    },
+    {
+      "url": "./edition-check.js",
+      "integrity": "sha256-jx6RfeRMv0hTsp11zIMgpcIYNdeyt6siz5rIKbHZg/g="
+    },
+    {
+      "url": "./edition-export.js",
+      "integrity": "sha256-n5PGKm4kElE01x21yvuxT194Leq7YBWStfB12odPRQg="
+    },
+    {
+      "url": "./edition-notify.js",
+      "integrity": "sha256-cgQsUO+I/7FddO8IT/DZjB7AM9XsczWGTdfISqbSUzQ="
+    },
+    {
+      "url": "./i18n.js",
+      "integrity": "sha256-7cUkNpiZ7DT/ljOT16dr6JFGHNpAovlT9YbO46zib+g="
+    },
+    {
+      "url": "./icons/icon-192.png",
+      "integrity": "sha256-lZ42oKAJiPUv7CJMwMeDiWBRAGhwYACXpDf4NMN3n/c="
+    },
+    {
+      "url": "./icons/icon-512.png",
+      "integrity": "sha256-oMHB6pgjdwjaBXow+XhLINUx0LS+gWLRunD26T/O2gc="
+    },
+    {
+      "url": "./image-cache.js",
+      "integrity": "sha256-8pdbcEsC//hbCovaOj0JiXZNd/jOzicDPl0h9xbAZtI="
+    },
+    {
+      "url": "./index.html",
+      "integrity": "sha256-tOEnhyGqQtQ5TlQa8++o7HHB+leazHIeUof6BWSL48c="
+    },
+    {
+      "url": "./manifest.json",
+      "integrity": "sha256-hz7V7XxH8vMYrLjuQZZ3jjPRs1D0Py8EWrmv7aGJyh4="
+    },
+    {
+      "url": "./pager.js",
+      "integrity": "sha256-jp3mUva41hYkn/ITcttdaIEsxVGrkaLnXv8o9wuQpr4="
+    },
+    {
+      "url": "./push-config.js",
+      "integrity": "sha256-wg/CpKeVfE2FIa9dWwHrmi+KFiMhiiH2CmgW/3L7Fmw="
+    },
+    {
+      "url": "./read-aloud.js",
+      "integrity": "sha256-idOuZb1l5qRf7ZvAqCUzHyyifl2xEQoeiyRHiADL9Bc="
+    },
+    {
+      "url": "./saved-export.js",
+      "integrity": "sha256-h3qmFxrFr7Z4x7PnMbt/dRsP4i1YCDx6htD92RhFXbg="
+    },
+    {
+      "url": "./settings.js",
+      "integrity": "sha256-ZIMn9jkvPaR4/4zpi7bd+dw94bPPmgH0XqVs2C0Fv90="
+    },
+    {
+      "url": "./source-reader.js",
+      "integrity": "sha256-Atma+d/y+DRQ3J1BMer4kI51UcIkbjhhV7mLctONoMw="
+    },
+    {
+      "url": "./stats.js",
+      "integrity": "sha256-xO9jnpQRDM1jXwGzcC69u65c4p6gMCBxF2mh9ya8rAw="
+    },
+    {
+      "url": "./storage.js",
+      "integrity": "sha256-on/gSCitkhSt7OS1LWl57MeDGSCg74oc6F7XinS8yIQ="
+    },
+    {
+      "url": "./style.css",
+      "integrity": "sha256-DXWVCp7xs7vM0rtWNhMw9g4qmXjA5xHuonGfNO6GCsM="
+    },
+    {
+      "url": "./vendor/inter/inter-latin-ext-wght-normal.woff2",
+      "integrity": "sha256-NLnFBMq3pz43t0Y0OkSRMuVs97VIGvLLgdx03P8lyVY="
+    },
+    {
+      "url": "./vendor/inter/inter-latin-wght-normal.woff2",
+      "integrity": "sha256-MQDndehhbNJhG+7PojpCY9cDdYZ4m0PwNSNqLm+9TGI="
+    },
+    {
+      "url": "./vendor/inter/inter.css",
+      "integrity": "sha256-ldj7QZDdg/y3Ebeja3qKMkIUsoj4ClcxLA871QV5JK8="
+    },
+    {
+      "url": "./vendor/lora/lora-latin-ext-wght-italic.woff2",
+      "integrity": "sha256-RfmJ34PzqfQAB9Ls3qmL/ySMh2ehoLvmDpT7N7YF7O4="
+    },
+    {
+      "url": "./vendor/lora/lora-latin-ext-wght-normal.woff2",
+      "integrity": "sha256-Ki2cIsmGMIaiP1AT/t4UKFhTIYErJfJmJULDnQKWfF4="
+    },
+    {
+      "url": "./vendor/lora/lora-latin-wght-italic.woff2",
+      "integrity": "sha256-2CTYB9TYMtEsh5MtC47BMU3P1QIVelbe5rsEz4o3aK4="
+    },
+    {
+      "url": "./vendor/lora/lora-latin-wght-normal.woff2",
+      "integrity": "sha256-3bjGYDUQTiM/wCRmkYOq03OLbaoW3u4uuxJBvQ+YrOE="
+    },
+    {
+      "url": "./vendor/lora/lora.css",
+      "integrity": "sha256-MwsPgIdUWN/oriDwmzLneKVCoMgCFrihhnL73XHm8/o="
+    },
+    {
+      "url": "./vendor/swiper/swiper-bundle.min.css",
+      "integrity": "sha256-dMpqrlRo28kkeQw7TSGaCJuQo0utU6D3yjpz5ztvWrg="
+    },
+    {
+      "url": "./vendor/swiper/swiper-bundle.min.js",
+      "integrity": "sha256-mF8SJMDu7JnTZ6nbNeWORLIefrnORYMbFbTBCOQf2X8="
+    }
+  ]
+};
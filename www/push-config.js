@@ -0,0 +1,15 @@
+/**
+ * AI for Grandmas — Web Push Config
+ *
+ * Shared by the page (app.js) and the service worker (sw.js). Leave either
+ * value empty to turn Web Push off; the app then only notifies while open.
+ *
+ * - vapidPublicKey: base64url public key from `node scripts/push/send.js --generate-keys`
+ * - subscriptionsUrl: endpoint that stores subscriptions (POST to add,
+ *   DELETE to remove). `node scripts/push/standin.js` serves one locally.
+ */
+
+const PushConfig = {
+  vapidPublicKey: '',
+  subscriptionsUrl: ''
+};
@@ -0,0 +1,125 @@
+/**
+ * AI for Grandmas — Read Aloud
+ *
+ * Thin wrapper around the Web Speech API for the "Read to me" mode. Text is
+ * spoken one sentence per utterance, which gives a reliable "now speaking"
+ * callback for highlighting on every browser (boundary events are patchy)
+ * and lets a rate change take effect from the next sentence.
+ */
+
+const ReadAloud = (() => {
+  'use strict';
+
+  const RATES = [0.75, 1, 1.25, 1.5];
+  const SENTENCE_RE = /[^.!?…]+(?:[.!?…]+["”’')\]]*|$)\s*/g;
+
+  let queue = [];
+  let position = 0;
+  let handlers = {};
+  let rate = 1;
+  let paused = false;
+  let session = 0; // Bumped on stop() so late callbacks from old utterances are ignored
+
+  function isSupported() {
+    return typeof window !== 'undefined' && 'speechSynthesis' in window &&
+      typeof window.SpeechSynthesisUtterance === 'function';
+  }
+
+  /**
+   * Split text into sentences, keeping their punctuation.
+   * @param {string} text
+   * @returns {string[]}
+   */
+  function splitSentences(text) {
+    const source = (text || '').trim();
+    if (!source) return [];
+    if (typeof Intl !== 'undefined' && Intl.Segmenter) {
+      const segmenter = new Intl.Segmenter(undefined, { granularity: 'sentence' });
+      return Array.from(segmenter.segment(source), (s) => s.segment.trim()).filter(Boolean);
+    }
+    return (source.match(SENTENCE_RE) || [source]).map((s) => s.trim()).filter(Boolean);
+  }
+
+  function speakNext(id) {
+    if (id !== session) return;
+    if (position >= queue.length) {
+      if (handlers.onDone) handlers.onDone();
+      return;
+    }
+
+    const utterance = new window.SpeechSynthesisUtterance(queue[position]);
+    utterance.rate = rate;
+    utterance.lang = (typeof document !== 'undefined' && document.documentElement.lang) || 'en';
+    utterance.onstart = () => {
+      if (id === session && handlers.onSentence) handlers.onSentence(position);
+    };
+    utterance.onend = () => {
+      if (id !== session) return;
+      position++;
+      speakNext(id);
+    };
+    utterance.onerror = (e) => {
+      // 'interrupted'/'canceled' come from our own stop()
+      if (id !== session || e.error === 'interrupted' || e.error === 'canceled') return;
+      position++;
+      speakNext(id);
+    };
+    window.speechSynthesis.speak(utterance);
+  }
+
+  /**
+   * Speak sentences in order, replacing anything already being spoken.
+   * @param {string[]} sentences
+   * @param {{ onSentence?: function(number), onDone?: function() }} [callbacks]
+   */
+  function speak(sentences, callbacks = {}) {
+    stop();
+    queue = sentences.slice();
+    position = 0;
+    handlers = callbacks;
+    paused = false;
+    speakNext(session);
+  }
+
+  function stop() {
+    session++;
+    queue = [];
+    if (isSupported()) {
+      window.speechSynthesis.cancel();
+      // cancel() leaves a paused engine paused, and it would sit on whatever is spoken next
+      if (paused) window.speechSynthesis.resume();
+    }
+    paused = false;
+  }
+
+  function pause() {
+    if (!isSupported() || paused) return;
+    paused = true;
+    window.speechSynthesis.pause();
+  }
+
+  function resume() {
+    if (!isSupported() || !paused) return;
+    paused = false;
+    window.speechSynthesis.resume();
+  }
+
+  function isPaused() {
+    return paused;
+  }
+
+  /**
+   * Speaking rate for the next sentence onwards.
+   * @param {number} value - One of RATES
+   */
+  function setRate(value) {
+    rate = RATES.includes(value) ? value : 1;
+  }
+
+  return { RATES, isSupported, splitSentences, speak, stop, pause, resume, isPaused, setRate };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadAloud;
+}
@@ -0,0 +1,170 @@
+/**
+ * AI for Grandmas — Saved Cards Export / Import
+ *
+ * Turns the saved-cards list into JSON (full fidelity, for re-import),
+ * Markdown (for notes apps) or CSV (for spreadsheets), and reads a JSON
+ * export back in, merging by card id and title (ids recur every day).
+ */
+
+const SavedExport = (() => {
+  'use strict';
+
+  const Check = typeof EditionCheck !== 'undefined' ? EditionCheck : require('./edition-check.js');
+
+  const FORMAT = 'ai-for-grandmas/saved-cards';
+  const VERSION = 1;
+
+  // Fields a saved card carries (see saveCard() in app.js)
+  const FIELDS = ['id', 'type', 'emoji', 'label', 'title', 'body', 'source_url', 'source_name', 'date', 'saved_at'];
+  // Optional text fields of an imported card; anything else in them is dropped
+  const TEXT_FIELDS = ['type', 'emoji', 'label', 'body', 'source_name'];
+  const CSV_COLUMNS = ['id', 'type', 'label', 'title', 'body', 'source_name', 'source_url', 'saved_at'];
+
+  const FORMATS = {
+    json: { ext: 'json', mime: 'application/json' },
+    markdown: { ext: 'md', mime: 'text/markdown' },
+    csv: { ext: 'csv', mime: 'text/csv' }
+  };
+
+  function pickFields(card) {
+    const out = {};
+    FIELDS.forEach((field) => {
+      out[field] = card[field] == null ? null : card[field];
+    });
+    return out;
+  }
+
+  // ── Writers ──
+  function toJSON(cards) {
+    return JSON.stringify({
+      format: FORMAT,
+      version: VERSION,
+      exported_at: new Date().toISOString(),
+      savedCards: cards.map(pickFields)
+    }, null, 2);
+  }
+
+  function toMarkdown(cards) {
+    const date = new Date().toISOString().slice(0, 10);
+    let md = '# Saved cards — AI for Grandmas\n\n';
+    md += '_Exported ' + date + ' · ' + cards.length + (cards.length === 1 ? ' card' : ' cards') + '_\n';
+
+    cards.forEach((card) => {
+      md += '\n## ' + [card.emoji, card.label].filter(Boolean).join(' ') + ' — ' + (card.title || '') + '\n\n';
+      md += (card.body || '').trim() + '\n';
+      if (card.source_url) {
+        md += '\n[' + (card.source_name || card.source_url) + '](' + card.source_url + ')\n';
+      }
+    });
+    return md;
+  }
+
+  function csvCell(value) {
+    let text = value == null ? '' : String(value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) text = "'" + text;
+    return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+  }
+
+  function toCSV(cards) {
+    const rows = [CSV_COLUMNS.join(',')];
+    cards.forEach((card) => {
+      rows.push(CSV_COLUMNS.map((col) => csvCell(card[col])).join(','));
+    });
+    // BOM so Excel reads the emoji and accents as UTF-8
+    return '\uFEFF' + rows.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Serialize saved cards.
+   * @param {Object[]} cards - Saved cards
+   * @param {string} format - 'json', 'markdown' or 'csv'
+   * @returns {{ text: string, filename: string, mime: string }}
+   */
+  function serialize(cards, format) {
+    const info = FORMATS[format];
+    if (!info) throw new Error('Unknown export format: ' + format);
+    const writers = { json: toJSON, markdown: toMarkdown, csv: toCSV };
+    return {
+      text: writers[format](cards),
+      filename: 'ai-for-grandmas-saved-' + new Date().toISOString().slice(0, 10) + '.' + info.ext,
+      mime: info.mime
+    };
+  }
+
+  // ── Import ──
+  /**
+   * Parse a JSON export (or a bare array of cards).
+   * @param {string} text - File contents
+   * @returns {Object[]} cards with at least an id and a title. Fields of the
+   *   wrong type are cleared, and source_url unless it's http(s): it ends up
+   *   as a link in the saved list. So is an edition date that isn't
+   *   YYYY-MM-DD
+   * @throws {Error} if the file isn't a saved-cards export
+   */
+  function parseImport(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch {
+      throw new Error('That file isn’t a JSON export.');
+    }
+
+    const cards = Array.isArray(data) ? data : data && data.savedCards;
+    if (!Array.isArray(cards)) {
+      throw new Error('No saved cards found in that file.');
+    }
+
+    return cards
+      .filter((card) => card && typeof card.id === 'string' && card.id && typeof card.title === 'string')
+      .map((card) => {
+        const clean = pickFields(card);
+        TEXT_FIELDS.forEach((field) => {
+          if (typeof clean[field] !== 'string') clean[field] = null;
+        });
+        if (!Check.isHttpUrl(clean.source_url)) clean.source_url = null;
+        if (typeof clean.date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(clean.date)) clean.date = null;
+        if (typeof clean.saved_at !== 'string' || isNaN(Date.parse(clean.saved_at))) {
+          clean.saved_at = new Date().toISOString();
+        }
+        return clean;
+      });
+  }
+
+  // Ids are per-day sequence numbers (holy-shit-001 is in every edition), so
+  // a card is only a duplicate if its title matches too
+  function cardKey(card) {
+    return card.id + '\n' + (card.title || '');
+  }
+
+  /**
+   * Merge imported cards into the existing list, deduped by id and title.
+   * Existing cards win, so re-importing a backup never clobbers anything.
+   * @param {Object[]} existing - Current saved cards
+   * @param {Object[]} incoming - Parsed import
+   * @returns {{ added: Object[], skipped: number }}
+   */
+  function merge(existing, incoming) {
+    const seen = new Set(existing.map(cardKey));
+    const added = [];
+    let skipped = 0;
+
+    incoming.forEach((card) => {
+      const key = cardKey(card);
+      if (seen.has(key)) {
+        skipped++;
+        return;
+      }
+      seen.add(key);
+      added.push(card);
+    });
+    return { added, skipped };
+  }
+
+  return { serialize, parseImport, merge, toJSON, toMarkdown, toCSV };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SavedExport;
+}
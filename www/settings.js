@@ -0,0 +1,125 @@
+/**
+ * AI for Grandmas — Display Settings
+ *
+ * Text size, theme, high contrast, reduced motion, language and which card
+ * types to show. The settings object lives in app storage (Store key
+ * `settings`); apply() turns it into a `--text-scale` variable, `data-theme`
+ * and classes on <html> that style.css keys off. The language is applied by
+ * app.js (see i18n.js), type preferences by arrangeDeck().
+ */
+
+const Settings = (() => {
+  'use strict';
+
+  const TEXT_SIZES = [
+    { id: 'small', label: 'Small', scale: 0.9 },
+    { id: 'normal', label: 'Normal', scale: 1 },
+    { id: 'large', label: 'Large', scale: 1.15 },
+    { id: 'larger', label: 'Larger', scale: 1.3 },
+    { id: 'largest', label: 'Largest', scale: 1.5 }
+  ];
+
+  const THEMES = ['system', 'light', 'dark'];
+
+  // Per card type; anything not listed is 'show'
+  const TYPE_PREFS = ['show', 'priority', 'hide'];
+  const LAST_TYPE = 'cookie'; // Always closes the deck
+
+  // reducedMotion: null follows the system preference; locale: 'auto' follows the browser
+  const DEFAULTS = { textSize: 'normal', theme: 'system', highContrast: false, reducedMotion: null, locale: 'auto', typePrefs: {} };
+  const LOCALE_RE = /^(auto|[a-z]{2,3})$/;
+
+  function mediaMatches(query) {
+    return typeof window !== 'undefined' && typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+  }
+
+  /**
+   * Fill in defaults and drop anything unrecognised.
+   * @param {Object} [stored] - Store.get('settings')
+   * @returns {{ textSize: string, theme: string, highContrast: boolean, reducedMotion: boolean|null, locale: string, typePrefs: Object<string, string> }}
+   */
+  function normalize(stored) {
+    const s = stored || {};
+    const typePrefs = {};
+    Object.keys(s.typePrefs || {}).forEach((type) => {
+      const pref = s.typePrefs[type];
+      if (pref !== 'show' && TYPE_PREFS.includes(pref)) typePrefs[type] = pref;
+    });
+    return {
+      textSize: TEXT_SIZES.some((size) => size.id === s.textSize) ? s.textSize : DEFAULTS.textSize,
+      theme: THEMES.includes(s.theme) ? s.theme : DEFAULTS.theme,
+      highContrast: s.highContrast === true,
+      reducedMotion: typeof s.reducedMotion === 'boolean' ? s.reducedMotion : DEFAULTS.reducedMotion,
+      locale: LOCALE_RE.test(s.locale) ? s.locale : DEFAULTS.locale,
+      typePrefs
+    };
+  }
+
+  function typePref(settings, type) {
+    return settings.typePrefs[type] || 'show';
+  }
+
+  /**
+   * Today's deck as the reader wants it: hidden types dropped, prioritized
+   * types first, otherwise edition order, and the cookie card always last.
+   * @param {Object[]} cards - The edition's cards
+   * @param {Object} settings - From normalize()
+   * @param {boolean} [showHidden] - Keep hidden types in (the "show hidden cards" escape hatch)
+   * @returns {{ cards: Object[], hidden: number }} hidden: cards of hidden types,
+   *   whether or not showHidden let them in
+   */
+  function arrangeDeck(cards, settings, showHidden = false) {
+    const rank = (card) => {
+      if (card.type === LAST_TYPE) return 2;
+      return typePref(settings, card.type) === 'priority' ? 0 : 1;
+    };
+    const visible = cards.filter((card) => showHidden || typePref(settings, card.type) !== 'hide');
+    return {
+      // Array.prototype.sort is stable, so ties keep the edition's order
+      cards: visible.slice().sort((a, b) => rank(a) - rank(b)),
+      hidden: cards.filter((card) => typePref(settings, card.type) === 'hide').length
+    };
+  }
+
+  function textScale(settings) {
+    return TEXT_SIZES.find((size) => size.id === settings.textSize).scale;
+  }
+
+  function prefersReducedMotion(settings) {
+    if (typeof settings.reducedMotion === 'boolean') return settings.reducedMotion;
+    return mediaMatches('(prefers-reduced-motion: reduce)');
+  }
+
+  function isDark(settings) {
+    if (settings.theme === 'system') return mediaMatches('(prefers-color-scheme: dark)');
+    return settings.theme === 'dark';
+  }
+
+  /**
+   * Apply settings to the page.
+   * @param {Object} settings - From normalize()
+   * @param {Document} [doc]
+   */
+  function apply(settings, doc = document) {
+    const root = doc.documentElement;
+    root.style.setProperty('--text-scale', String(textScale(settings)));
+    if (settings.theme === 'system') {
+      root.removeAttribute('data-theme');
+    } else {
+      root.setAttribute('data-theme', settings.theme);
+    }
+    root.classList.toggle('high-contrast', settings.highContrast);
+    root.classList.toggle('reduce-motion', prefersReducedMotion(settings));
+
+    // Browser chrome follows the page background
+    const themeColor = doc.querySelector('meta[name="theme-color"]');
+    if (themeColor) themeColor.setAttribute('content', isDark(settings) ? '#151a17' : '#f4f2ed');
+  }
+
+  return { TEXT_SIZES, THEMES, TYPE_PREFS, LAST_TYPE, DEFAULTS, normalize, typePref, arrangeDeck, textScale, prefersReducedMotion, isDark, apply };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Settings;
+}
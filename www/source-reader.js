@@ -0,0 +1,67 @@
+/**
+ * AI for Grandmas — Source Reader
+ *
+ * "Read more" opens a card's source without leaving the app. In the native
+ * shell that's the Capacitor Browser plugin (SFSafariViewController on iOS,
+ * whose Done button leads back to the cards); everywhere else app.js shows
+ * the page in the reader sheet's iframe. Plenty of sites refuse to be framed,
+ * so the sheet always offers "Open in browser" as well.
+ */
+
+const SourceReader = (() => {
+  'use strict';
+
+  function nativeBrowser() {
+    const cap = typeof window !== 'undefined' && window.Capacitor;
+    if (!cap || typeof cap.isNativePlatform !== 'function' || !cap.isNativePlatform()) return null;
+    return (cap.Plugins && cap.Plugins.Browser) || null;
+  }
+
+  function isNative() {
+    return nativeBrowser() !== null;
+  }
+
+  /**
+   * Only web pages open in the reader; anything else is left to the browser.
+   * @param {string} url
+   * @returns {boolean}
+   */
+  function canOpen(url) {
+    try {
+      const protocol = new URL(url).protocol;
+      return protocol === 'https:' || protocol === 'http:';
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Short site name for the sheet header: https://www.theverge.com/… → theverge.com
+   * @param {string} url
+   * @returns {string}
+   */
+  function siteName(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch {
+      return '';
+    }
+  }
+
+  /**
+   * Open a page in the native in-app browser.
+   * @param {string} url
+   * @param {string} [toolbarColor] - Hex color for the browser's toolbar
+   * @returns {Promise<void>}
+   */
+  function openNative(url, toolbarColor) {
+    return nativeBrowser().open({ url, toolbarColor, presentationStyle: 'fullscreen' });
+  }
+
+  return { isNative, canOpen, siteName, openNative };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SourceReader;
+}
@@ -0,0 +1,181 @@
+/**
+ * AI for Grandmas — Reading Stats
+ *
+ * Works out everything the stats screen shows from what's stored locally:
+ * the per-day history (Store.getDays), read cards (Store.getReads) and saved
+ * cards. Nothing leaves the device.
+ */
+
+const ReadingStats = (() => {
+  'use strict';
+
+  const DAY_MS = 86400000;
+  const FREEZE_EVERY = 7; // Days read in a row to earn a streak freeze
+  const FREEZE_MAX = 1; // Freezes that can be banked
+
+  // ── Date strings (YYYY-MM-DD, compared as calendar days) ──
+
+  /**
+   * The reader's own calendar date, not the UTC one.
+   * @param {Date} [now]
+   * @returns {string} YYYY-MM-DD
+   */
+  function localDate(now = new Date()) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return now.getFullYear() + '-' + pad(now.getMonth() + 1) + '-' + pad(now.getDate());
+  }
+
+  // Calendar arithmetic on date strings; done in UTC so DST never shifts a day
+  function addDays(date, n) {
+    return new Date(Date.parse(date + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+  }
+
+  function weekday(date) {
+    return new Date(date + 'T00:00:00Z').getUTCDay(); // 0 = Sunday
+  }
+
+  // Days with at least one card read; opening the app isn't reading
+  function readDays(days) {
+    return days.filter((d) => (d.cards_read || 0) > 0);
+  }
+
+  /**
+   * Current and longest run of consecutive days read.
+   *
+   * Every FREEZE_EVERY days in a row earns a streak freeze (at most FREEZE_MAX
+   * banked). A freeze is spent automatically on a single missed day, which
+   * keeps the streak going without counting towards it. The history is
+   * replayed from the start, so no freeze state needs storing.
+   *
+   * @param {{ date: string }[]} days - Days read (see readDays)
+   * @param {string} today - YYYY-MM-DD, local (see localDate)
+   * @returns {{ current: number, longest: number, freezes: number, frozen: string[], freezeUsed: string|null }}
+   *   freezes: banked now; frozen: every day a freeze covered; freezeUsed: the
+   *   day a freeze covered in the current streak, if it was yesterday
+   */
+  function streaks(days, today) {
+    const dates = days.map((d) => d.date).sort();
+    const frozen = [];
+    let longest = 0;
+    let run = 0;
+    let freezes = 0;
+
+    dates.forEach((date, i) => {
+      const prev = dates[i - 1];
+      if (prev && addDays(prev, 1) === date) {
+        run++;
+      } else if (prev && addDays(prev, 2) === date && freezes > 0) {
+        freezes--;
+        frozen.push(addDays(prev, 1));
+        run++;
+      } else {
+        run = 1;
+      }
+      if (run % FREEZE_EVERY === 0) freezes = Math.min(FREEZE_MAX, freezes + 1);
+      longest = Math.max(longest, run);
+    });
+
+    // Still alive if read today or yesterday, or the day before with a freeze
+    // in the bank to cover yesterday
+    const last = dates[dates.length - 1];
+    const alive = last === today || last === addDays(today, -1) ||
+      (last === addDays(today, -2) && freezes > 0);
+    const yesterday = addDays(today, -1);
+
+    return {
+      current: alive ? run : 0,
+      longest,
+      freezes,
+      frozen,
+      freezeUsed: alive && frozen[frozen.length - 1] === yesterday ? yesterday : null
+    };
+  }
+
+  /**
+   * Calendar heatmap cells, one per day, whole weeks (Sunday first) ending
+   * with the week containing today.
+   * @param {{ date: string, cards_read: number }[]} days - Days read (see readDays)
+   * @param {string} today
+   * @param {number} [weeks=12]
+   * @param {string[]} [frozen] - Days covered by a streak freeze
+   * @returns {{ date: string, read: number, visited: boolean, level: number, future: boolean, frozen: boolean }[]}
+   *   level 0 (nothing read) to 4 (five or more cards read)
+   */
+  function heatmap(days, today, weeks = 12, frozen = []) {
+    const byDate = new Map(days.map((d) => [d.date, d]));
+    const start = addDays(today, -weekday(today) - (weeks - 1) * 7);
+    const cells = [];
+
+    for (let i = 0; i < weeks * 7; i++) {
+      const date = addDays(start, i);
+      const day = byDate.get(date);
+      const read = day ? day.cards_read || 0 : 0;
+      cells.push({
+        date,
+        read,
+        visited: Boolean(day),
+        level: !day ? 0 : read >= 5 ? 4 : read >= 3 ? 3 : read >= 1 ? 2 : 1,
+        future: date > today,
+        frozen: frozen.includes(date)
+      });
+    }
+    return cells;
+  }
+
+  /**
+   * Cards read per type, most read first.
+   * @param {{ type: string }[]} reads - From Store.getReads()
+   * @returns {{ type: string, count: number }[]}
+   */
+  function byType(reads) {
+    const counts = {};
+    reads.forEach((r) => { counts[r.type] = (counts[r.type] || 0) + 1; });
+    return Object.keys(counts)
+      .map((type) => ({ type, count: counts[type] }))
+      .sort((a, b) => b.count - a.count);
+  }
+
+  // Card ids recur every day, so a saved card matches the read of its id in
+  // its own edition. Cards saved before they carried the edition date go by
+  // the day they were saved.
+  function savedReadKey(card) {
+    const date = card.date || (card.saved_at ? localDate(new Date(card.saved_at)) : '');
+    return date + '/' + card.id;
+  }
+
+  /**
+   * How many read cards were also saved.
+   * @param {{ id: string, date?: string, saved_at?: string }[]} saved
+   * @param {{ id: string, date: string }[]} reads
+   * @returns {{ saved: number, read: number, ratio: number }} ratio is 0–1
+   */
+  function savedRatio(saved, reads) {
+    const readKeys = new Set(reads.map((r) => r.date + '/' + r.id));
+    const savedRead = saved.filter((c) => readKeys.has(savedReadKey(c))).length;
+    return { saved: savedRead, read: reads.length, ratio: reads.length ? savedRead / reads.length : 0 };
+  }
+
+  /**
+   * Everything the stats screen needs.
+   * @param {{ days: Object[], reads: Object[], saved: Object[], today: string }} input
+   */
+  function summarize({ days, reads, saved, today }) {
+    const read = readDays(days);
+    const streak = streaks(read, today);
+    return {
+      streaks: streak,
+      daysRead: read.length,
+      cardsRead: reads.length,
+      heatmap: heatmap(read, today, 12, streak.frozen),
+      byType: byType(reads),
+      saved: savedRatio(saved, reads)
+    };
+  }
+
+  return { localDate, addDays, readDays, streaks, heatmap, byType, savedRatio, summarize };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReadingStats;
+}
@@ -0,0 +1,446 @@
+/**
+ * AI for Grandmas — Storage Layer
+ *
+ * IndexedDB-backed app state with separate stores for saved cards, cached
+ * editions, per-card read state, a per-day reading history, the sources
+ * opened from cards and counters (visits, swipes...). Everything is loaded
+ * into memory by open(), so reads stay synchronous; writes touch only the
+ * records that changed and are persisted in the background.
+ *
+ * Migrates the old single `afg_data` localStorage blob on first run, and falls
+ * back to that same blob where IndexedDB isn't available (private mode, old
+ * WebViews).
+ */
+
+const Store = (() => {
+  'use strict';
+
+  const DB_NAME = 'afg';
+  const DB_VERSION = 7;
+  const LEGACY_KEY = 'afg_data';
+  const EDITIONS_KEEP = 7; // Days; each may have a translation too
+
+  let db = null; // null → localStorage fallback
+  let counters = {};
+  let savedCards = [];
+  let editions = []; // newest first, keyed by date + locale (see withEditionKey)
+  let reads = new Map(); // readKey() → { key, date, id, type, read_at }
+  let days = new Map(); // YYYY-MM-DD → { date, visits, cards_read }
+  let sources = new Map(); // source url → { url, card_id, visited_at }
+
+  const hasLocalStorage = (() => {
+    try {
+      return typeof localStorage !== 'undefined' && localStorage !== null;
+    } catch {
+      return false;
+    }
+  })();
+
+  function byDateDesc(a, b) {
+    return (b.date || '').localeCompare(a.date || '');
+  }
+
+  // Card ids are per-day sequence numbers (holy-shit-001 is in every
+  // edition), so a read is keyed by the edition's date as well
+  function readKey(date, id) {
+    return (date || '') + '/' + id;
+  }
+
+  // Reads stored before they carried a date: the newest cached edition with
+  // that card, from the day it was read or before; else the day it was read
+  function datedRead(record, cachedEditions) {
+    if (record.key) return record;
+    const readOn = localDate(record.read_at);
+    const edition = cachedEditions
+      .filter((e) => e.date && e.date <= readOn && (e.cards || []).some((c) => c.id === record.id))
+      .sort(byDateDesc)[0];
+    const date = edition ? edition.date : readOn;
+    return { ...record, key: readKey(date, record.id), date };
+  }
+
+  // Saved cards likewise: a card id alone could be any day's card
+  function savedKey(card) {
+    return card.id + '\n' + (card.title || '');
+  }
+
+  function withSavedKey(card) {
+    return card.key ? card : { ...card, key: savedKey(card) };
+  }
+
+  // A translation shares its date with the English edition
+  function editionLocale(edition) {
+    return edition.locale || 'en';
+  }
+
+  function withEditionKey(edition) {
+    return edition.key ? edition : { ...edition, key: edition.date + '/' + editionLocale(edition) };
+  }
+
+  function localDate(iso) {
+    const d = new Date(iso);
+    if (isNaN(d)) return '';
+    return d.getFullYear() + '-' + String(d.getMonth() + 1).padStart(2, '0') + '-' + String(d.getDate()).padStart(2, '0');
+  }
+
+  // ── IndexedDB plumbing ──
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  // Move a store's records to a new key path; only inside an upgrade
+  function rekeyStore(request, name, keyPath, convert) {
+    const upgradeDb = request.result;
+    const records = request.transaction.objectStore(name).getAll();
+    records.onsuccess = () => {
+      upgradeDb.deleteObjectStore(name);
+      const store = upgradeDb.createObjectStore(name, { keyPath });
+      records.result.forEach((record) => store.put(convert(record)));
+    };
+  }
+
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (event) => {
+        const upgradeDb = request.result;
+        if (event.oldVersion < 1) {
+          upgradeDb.createObjectStore('savedCards', { keyPath: 'id' });
+          upgradeDb.createObjectStore('editions', { keyPath: 'date' });
+          upgradeDb.createObjectStore('counters');
+        }
+        if (event.oldVersion < 2) {
+          upgradeDb.createObjectStore('reads', { keyPath: 'id' });
+        }
+        if (event.oldVersion < 3) {
+          upgradeDb.createObjectStore('days', { keyPath: 'date' });
+        }
+        if (event.oldVersion < 4) {
+          upgradeDb.createObjectStore('sources', { keyPath: 'url' });
+        }
+        if (event.oldVersion < 5) {
+          // Re-key reads by edition date + card id; requests complete in
+          // order, so the editions are in by the time reads are converted
+          const cachedEditions = request.transaction.objectStore('editions').getAll();
+          rekeyStore(request, 'reads', 'key', (record) => datedRead(record, cachedEditions.result));
+        }
+        if (event.oldVersion < 6) {
+          rekeyStore(request, 'savedCards', 'key', withSavedKey);
+        }
+        if (event.oldVersion < 7) {
+          rekeyStore(request, 'editions', 'key', withEditionKey);
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    });
+  }
+
+  function transact(storeNames, mode, fn) {
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      const result = fn(tx);
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  // Fire-and-forget write; memory is already up to date
+  function persist(storeNames, fn) {
+    if (!db) {
+      writeLegacy();
+      return Promise.resolve();
+    }
+    return transact(storeNames, 'readwrite', fn).catch((e) => {
+      console.log('Storage write failed:', e);
+    });
+  }
+
+  // ── localStorage blob (legacy format, also the fallback) ──
+  function readLegacy() {
+    if (!hasLocalStorage) return null;
+    try {
+      return JSON.parse(localStorage.getItem(LEGACY_KEY));
+    } catch {
+      return null;
+    }
+  }
+
+  function writeLegacy() {
+    if (!hasLocalStorage) return;
+    try {
+      localStorage.setItem(LEGACY_KEY, JSON.stringify({
+        ...counters,
+        savedCards: savedCards,
+        cachedCards: editions[0] || null,
+        readCards: Array.from(reads.values()),
+        days: Array.from(days.values()),
+        visitedSources: Array.from(sources.values())
+      }));
+    } catch (e) {
+      console.log('Storage write failed:', e);
+    }
+  }
+
+  function loadFromLegacy(legacy) {
+    const { savedCards: legacySaved, cachedCards, readCards, days: legacyDays, visitedSources, ...rest } = legacy || {};
+    counters = rest;
+    savedCards = (Array.isArray(legacySaved) ? legacySaved : []).map(withSavedKey);
+    editions = cachedCards && cachedCards.cards && cachedCards.date ? [withEditionKey(cachedCards)] : [];
+    reads = new Map((Array.isArray(readCards) ? readCards : []).map((r) => datedRead(r, editions)).map((r) => [r.key, r]));
+    days = new Map((Array.isArray(legacyDays) ? legacyDays : []).map((d) => [d.date, d]));
+    sources = new Map((Array.isArray(visitedSources) ? visitedSources : []).map((s) => [s.url, s]));
+  }
+
+  // ── Migration: single lastVisit + streak → per-day history ──
+  // The old counters only say the reader visited on each of the `streak`
+  // days up to lastVisit, so that's the history we can rebuild.
+  function migrateLastVisit() {
+    if (!counters.lastVisit) return Promise.resolve();
+
+    const backfilled = [];
+    if (days.size === 0) {
+      const last = Date.parse(counters.lastVisit + 'T00:00:00Z');
+      for (let i = 0; i < (counters.streak || 1); i++) {
+        const date = new Date(last - i * 86400000).toISOString().slice(0, 10);
+        const record = { date, visits: 1, cards_read: 0 };
+        days.set(date, record);
+        backfilled.push(record);
+      }
+    }
+    delete counters.lastVisit;
+    delete counters.streak;
+
+    if (!db) {
+      writeLegacy();
+      return Promise.resolve();
+    }
+    return transact(['days', 'counters'], 'readwrite', (tx) => {
+      backfilled.forEach((record) => tx.objectStore('days').put(record));
+      tx.objectStore('counters').delete('lastVisit');
+      tx.objectStore('counters').delete('streak');
+    });
+  }
+
+  // ── Migration: afg_data blob → IndexedDB ──
+  async function migrateLegacy() {
+    const legacy = readLegacy();
+    if (!legacy) return;
+
+    loadFromLegacy(legacy);
+    await transact(['savedCards', 'editions', 'counters', 'reads', 'days', 'sources'], 'readwrite', (tx) => {
+      savedCards.forEach((card) => tx.objectStore('savedCards').put(card));
+      reads.forEach((record) => tx.objectStore('reads').put(record));
+      days.forEach((record) => tx.objectStore('days').put(record));
+      sources.forEach((record) => tx.objectStore('sources').put(record));
+      editions.filter((e) => e.date).forEach((e) => tx.objectStore('editions').put(e));
+      Object.keys(counters).forEach((key) => tx.objectStore('counters').put(counters[key], key));
+    });
+    localStorage.removeItem(LEGACY_KEY);
+  }
+
+  async function loadFromDb() {
+    const [counterKeys, counterValues, cards, storedEditions, storedReads, storedDays, storedSources] = await transact(
+      ['savedCards', 'editions', 'counters', 'reads', 'days', 'sources'], 'readonly', (tx) => [
+        promisify(tx.objectStore('counters').getAllKeys()),
+        promisify(tx.objectStore('counters').getAll()),
+        promisify(tx.objectStore('savedCards').getAll()),
+        promisify(tx.objectStore('editions').getAll()),
+        promisify(tx.objectStore('reads').getAll()),
+        promisify(tx.objectStore('days').getAll()),
+        promisify(tx.objectStore('sources').getAll())
+      ]
+    ).then((requests) => Promise.all(requests));
+
+    counters = {};
+    counterKeys.forEach((key, i) => { counters[key] = counterValues[i]; });
+    savedCards = cards.sort((a, b) => (a.saved_at || '').localeCompare(b.saved_at || ''));
+    editions = storedEditions.sort(byDateDesc);
+    reads = new Map(storedReads.map((r) => [r.key, r]));
+    days = new Map(storedDays.map((d) => [d.date, d]));
+    sources = new Map(storedSources.map((s) => [s.url, s]));
+  }
+
+  /**
+   * Open storage and load everything into memory. Call once before any read.
+   * @returns {Promise<string>} backend in use: 'indexeddb' or 'localstorage'
+   */
+  async function open() {
+    try {
+      db = await openDb();
+      await migrateLegacy();
+      await loadFromDb();
+      await migrateLastVisit();
+      return 'indexeddb';
+    } catch (e) {
+      console.log('IndexedDB unavailable, using localStorage:', e);
+      db = null;
+      loadFromLegacy(readLegacy());
+      await migrateLastVisit();
+      return 'localstorage';
+    }
+  }
+
+  // ── Counters ──
+  function get(key) {
+    return counters[key];
+  }
+
+  function getAll() {
+    return { ...counters };
+  }
+
+  function set(obj) {
+    Object.assign(counters, obj);
+    return persist(['counters'], (tx) => {
+      const store = tx.objectStore('counters');
+      Object.keys(obj).forEach((key) => store.put(obj[key], key));
+    });
+  }
+
+  // ── Saved cards ──
+  function getSavedCards() {
+    return savedCards.slice();
+  }
+
+  function isSaved(card) {
+    const key = savedKey(card);
+    return savedCards.some((c) => c.key === key);
+  }
+
+  function putSavedCard(card) {
+    const record = withSavedKey(card);
+    const i = savedCards.findIndex((c) => c.key === record.key);
+    if (i >= 0) savedCards[i] = record;
+    else savedCards.push(record);
+    return persist(['savedCards'], (tx) => tx.objectStore('savedCards').put(record));
+  }
+
+  /**
+   * @param {Object} card - A saved card, or the deck card it was saved from
+   */
+  function deleteSavedCard(card) {
+    const key = withSavedKey(card).key;
+    savedCards = savedCards.filter((c) => c.key !== key);
+    return persist(['savedCards'], (tx) => tx.objectStore('savedCards').delete(key));
+  }
+
+  // ── Cached editions ──
+  /**
+   * The newest cached edition, in the reader's language if it was cached
+   * in it, otherwise in English (as the page falls back online).
+   * @param {string} [locale]
+   * @returns {Object|null}
+   */
+  function getLatestEdition(locale) {
+    const newest = editions.filter((e) => e.date === (editions[0] && editions[0].date));
+    return newest.find((e) => editionLocale(e) === locale) ||
+      newest.find((e) => editionLocale(e) === 'en') ||
+      newest[0] || null;
+  }
+
+  function putEdition(edition) {
+    if (!edition || !edition.date) return Promise.resolve();
+    const record = withEditionKey(edition);
+    editions = [record, ...editions.filter((e) => e.key !== record.key)].sort(byDateDesc);
+    const keepDates = [...new Set(editions.map((e) => e.date))].slice(0, EDITIONS_KEEP);
+    const evicted = editions.filter((e) => !keepDates.includes(e.date));
+    editions = editions.filter((e) => keepDates.includes(e.date));
+    return persist(['editions'], (tx) => {
+      const store = tx.objectStore('editions');
+      store.put(record);
+      evicted.forEach((e) => store.delete(e.key));
+    });
+  }
+
+  // ── Read state ──
+  /**
+   * @param {string|null} date - Date of the edition the card is in
+   * @param {string} id - Card id
+   * @returns {boolean}
+   */
+  function isRead(date, id) {
+    return reads.has(readKey(date, id));
+  }
+
+  function getReads() {
+    return Array.from(reads.values());
+  }
+
+  /**
+   * Mark a card read. Returns false if it already was.
+   * @param {Object} card - Card data object
+   * @param {string|null} date - Date of the edition the card is in
+   * @returns {boolean}
+   */
+  function markRead(card, date) {
+    const key = readKey(date, card.id);
+    if (reads.has(key)) return false;
+    const record = { key, date: date || '', id: card.id, type: card.type, read_at: new Date().toISOString() };
+    reads.set(key, record);
+    persist(['reads'], (tx) => tx.objectStore('reads').put(record));
+    return true;
+  }
+
+  // ── Reading history ──
+  /**
+   * Every day the app was opened, oldest first.
+   * @returns {{ date: string, visits: number, cards_read: number }[]}
+   */
+  function getDays() {
+    return Array.from(days.values()).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Count a visit or a card read against a day.
+   * @param {string} date - YYYY-MM-DD
+   * @param {'visits'|'cards_read'} field
+   */
+  function logDay(date, field) {
+    const record = { date, visits: 0, cards_read: 0, ...days.get(date) };
+    record[field] += 1;
+    days.set(date, record);
+    return persist(['days'], (tx) => tx.objectStore('days').put(record));
+  }
+
+  // ── Visited sources ──
+  function isVisited(url) {
+    return sources.has(url);
+  }
+
+  /**
+   * Remember that a card's source was opened. Returns false if it already was.
+   * @param {string} url - The card's source_url
+   * @param {string} [cardId]
+   * @returns {boolean}
+   */
+  function markVisited(url, cardId) {
+    if (!url || sources.has(url)) return false;
+    const record = { url, card_id: cardId || null, visited_at: new Date().toISOString() };
+    sources.set(url, record);
+    persist(['sources'], (tx) => tx.objectStore('sources').put(record));
+    return true;
+  }
+
+  return {
+    open, get, getAll, set,
+    getSavedCards, isSaved, putSavedCard, deleteSavedCard,
+    getLatestEdition, putEdition,
+    isRead, getReads, markRead,
+    getDays, logDay,
+    isVisited, markVisited
+  };
+})();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Store;
+}
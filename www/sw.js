@@ -2,45 +2,51 @@
  * AI for Grandmas — Service Worker
  *
  * Cache strategy:
- * - App shell: cache-first (HTML, CSS, JS, fonts)
- * - Card data: network-first with cache fallback
- * - CDN assets: cache-first
+ * - App shell: precached from precache-manifest.js (built by
+ *   scripts/build-precache.js), served cache-first. A new shell waits until
+ *   the page says the reader accepted the update (SKIP_WAITING).
+ * - Card data: network-first with cache fallback (separate data cache)
+ * - Archive: the newest ARCHIVE_KEEP editions stay cached for offline reading
+ * - Card images: own cache, prefetched with each edition, LRU under
+ *   IMAGE_CACHE_BYTES (see image-cache.js)
+ * - Card link pages (cards/<date>/<id>.html): never fetched; readers who
+ *   have the app go straight to the card (see deep-link.js)
+ *
+ * Also handles Web Push (see push-config.js and scripts/push/).
  */
 
-const CACHE_NAME = 'afg-v5';
-const APP_SHELL = [
-  './',
-  './index.html',
-  './style.css',
-  './app.js',
-  './art.js',
-  './card-image.js',
-  './manifest.json',
-  './icons/icon-192.png',
-  './icons/icon-512.png'
-];
-
-const CDN_ASSETS = [
-  'https://cdn.jsdelivr.net/npm/swiper@11/swiper-bundle.min.css',
-  'https://cdn.jsdelivr.net/npm/swiper@11/swiper-bundle.min.js'
-];
-
-// Install — cache app shell
+importScripts('./precache-manifest.js', './push-config.js', './i18n.js', './storage.js', './edition-notify.js', './image-cache.js', './deep-link.js');
+
+const CACHE_NAME = 'afg-shell-' + self.PRECACHE_MANIFEST.version;
+const DATA_CACHE = 'afg-data';
+const ARCHIVE_KEEP = 7;
+const IMAGE_CACHE_BYTES = 30 * 1024 * 1024;
+ImageCache.setBudget(IMAGE_CACHE_BYTES);
+// Shell files (app icons) are served from the shell cache, not ImageCache
+const SHELL_URLS = new Set(self.PRECACHE_MANIFEST.files.map((file) => new URL(file.url, self.location).href));
+
+// Install — cache the whole shell or nothing. Integrity checks make install
+// fail (and retry on the next update check) if the server is mid-deploy.
 self.addEventListener('install', (event) => {
   event.waitUntil(
-    caches.open(CACHE_NAME).then((cache) => {
-      return cache.addAll([...APP_SHELL, ...CDN_ASSETS]);
-    })
+    caches.open(CACHE_NAME).then((cache) => Promise.all(
+      self.PRECACHE_MANIFEST.files.map((file) => precache(cache, file))
+    ))
   );
-  self.skipWaiting();
 });
 
+async function precache(cache, file) {
+  const response = await fetch(new Request(file.url, { cache: 'reload', integrity: file.integrity }));
+  if (!response.ok) throw new Error('Precache of ' + file.url + ' failed: ' + response.status);
+  await cache.put(file.url, response);
+}
+
 // Activate — clean old caches
 self.addEventListener('activate', (event) => {
   event.waitUntil(
     caches.keys().then((keys) => {
       return Promise.all(
-        keys.filter((key) => key !== CACHE_NAME).map((key) => caches.delete(key))
+        keys.filter((key) => ![CACHE_NAME, DATA_CACHE, ImageCache.NAME].includes(key)).map((key) => caches.delete(key))
       );
     })
   );
@@ -57,15 +63,17 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Google Fonts — cache-first
-  if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
-    event.respondWith(cacheFirst(event.request));
+  // Card images — cache-first within the image budget, wherever they're
+  // hosted (rendered art under art/ too); app icons are shell
+  if (event.request.destination === 'image' && !SHELL_URLS.has(url.origin + url.pathname)) {
+    event.respondWith(ImageCache.handle(event.request));
     return;
   }
 
-  // CDN assets — cache-first
-  if (url.hostname === 'cdn.jsdelivr.net') {
-    event.respondWith(cacheFirst(event.request));
+  // Link-preview pages only matter to crawlers; works offline too
+  const linked = event.request.mode === 'navigate' && DeepLink.fromPagePath(url.pathname);
+  if (linked) {
+    event.respondWith(Response.redirect(new URL('../../' + DeepLink.hash(linked.date, linked.cardId), url).href, 302));
     return;
   }
 
@@ -73,70 +81,149 @@ self.addEventListener('fetch', (event) => {
   event.respondWith(cacheFirst(event.request));
 });
 
+// Only this worker's own shell cache: while an update waits, the old and new
+// shells are both cached and must not mix
 async function cacheFirst(request) {
-  const cached = await caches.match(request);
+  const cache = await caches.open(CACHE_NAME);
+  // Start URLs carry ?card=… from notifications; they're all index.html
+  const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
   if (cached) return cached;
 
   try {
     const response = await fetch(request);
-    if (response.ok) {
-      const cache = await caches.open(CACHE_NAME);
-      cache.put(request, response.clone());
-    }
+    if (response.ok) cache.put(request, response.clone());
     return response;
   } catch {
     return new Response('Offline', { status: 503 });
   }
 }
 
-// Message handler — show notifications from page context
+// Message handler — show notifications from page context, and activate a
+// waiting update once the reader taps "refresh"
 self.addEventListener('message', (event) => {
   if (event.data && event.data.type === 'SHOW_NOTIFICATION') {
-    self.registration.showNotification(event.data.title, {
-      body: event.data.body,
-      icon: './icons/icon-192.png',
-      badge: './icons/icon-192.png',
-      tag: event.data.tag || 'afg-daily',
-      renotify: false
+    showEditionNotification(event.data);
+  } else if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+function showEditionNotification(note) {
+  return self.registration.showNotification(note.title, {
+    body: note.body,
+    icon: './icons/icon-192.png',
+    badge: './icons/icon-192.png',
+    tag: note.tag || 'afg-daily',
+    renotify: false,
+    data: { url: note.url || './', cardId: note.cardId || null }
+  });
+}
+
+// The edition the page would show: the reader's language if translated,
+// otherwise English (same rule as app.js)
+async function fetchLatestEdition() {
+  const localized = I18n.editionUrl('./data/latest.json');
+  if (localized) {
+    try {
+      const res = await fetch(localized, { cache: 'no-cache' });
+      if (res.ok) {
+        const edition = await res.json();
+        if (Array.isArray(edition.cards) && edition.cards.length > 0) return edition;
+      }
+    } catch {
+      // Fall back to English
+    }
+  }
+  const res = await fetch('./data/latest.json', { cache: 'no-cache' });
+  return res.json();
+}
+
+// Notify only if latest.json holds an edition the reader hasn't opened and
+// nobody has announced yet. Returns false when nothing was shown.
+async function notifyIfNewEdition() {
+  await Store.open();
+  I18n.setLocale(I18n.resolve((Store.get('settings') || {}).locale, self.navigator.languages || []));
+  const edition = await fetchLatestEdition();
+
+  const seen = Store.get('lastSeenEdition');
+  // Never opened the app in this browser — nothing to compare against
+  if (!seen) return false;
+
+  const note = EditionNotify.notification(edition, seen);
+  if (!note || Store.get('lastNotifiedEdition') === note.edition) return false;
+
+  await Store.set({ lastNotifiedEdition: note.edition });
+  await showEditionNotification(note);
+  return true;
+}
+
+// Web Push — the sender only pushes new editions, but the reader may have
+// opened it already. Every push must still show a notification: Chrome
+// puts up its own "updated in the background" notice otherwise, and Safari
+// revokes subscriptions that push silently. So when there's nothing new to
+// announce (or we're offline), fall back to the sender's payload, or a
+// plain "today's cards are ready".
+self.addEventListener('push', (event) => {
+  event.waitUntil((async () => {
+    try {
+      if (await notifyIfNewEdition()) return;
+    } catch {
+      // Offline — trust the sender's payload
+    }
+    await showEditionNotification(pushPayload(event) || {
+      title: I18n.t('notify.title'),
+      body: I18n.t('notify.generic')
     });
+  })());
+});
+
+function pushPayload(event) {
+  try {
+    const payload = event.data ? event.data.json() : null;
+    return payload && payload.title ? payload : null;
+  } catch {
+    return null;
   }
+}
+
+// Push service rotated our subscription — re-subscribe and tell the server
+self.addEventListener('pushsubscriptionchange', (event) => {
+  if (!PushConfig.subscriptionsUrl) return;
+  const send = (method, body) => fetch(PushConfig.subscriptionsUrl, {
+    method: method,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+
+  event.waitUntil((async () => {
+    const old = event.oldSubscription;
+    const sub = event.newSubscription || (old && await self.registration.pushManager.subscribe(old.options));
+    if (old) await send('DELETE', { endpoint: old.endpoint });
+    if (sub) await send('POST', sub.toJSON());
+  })().catch(() => {/* server unreachable, the page re-syncs on next open */}));
 });
 
-// Notification click — open the app
+// Notification click — open the app at the first new card
 self.addEventListener('notificationclick', (event) => {
   event.notification.close();
+  const data = event.notification.data || {};
   event.waitUntil(
     clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clientList) => {
       for (const client of clientList) {
         if (client.url.includes('ai-for-grandmas') && 'focus' in client) {
+          if (data.cardId) client.postMessage({ type: 'OPEN_CARD', cardId: data.cardId });
           return client.focus();
         }
       }
-      return clients.openWindow('./');
+      return clients.openWindow(data.url || './');
     })
   );
 });
 
-// Periodic background sync — check for new cards
+// Periodic background sync — check for a new edition
 self.addEventListener('periodicsync', (event) => {
   if (event.tag === 'check-new-cards') {
-    event.waitUntil(
-      fetch('./data/latest.json', { cache: 'no-cache' })
-        .then((res) => res.json())
-        .then((data) => {
-          if (data.cards && data.cards.length > 0) {
-            const card = data.cards[0];
-            return self.registration.showNotification('Fresh cards from Grandma 🧓', {
-              body: card.emoji + ' ' + card.title,
-              icon: './icons/icon-192.png',
-              badge: './icons/icon-192.png',
-              tag: 'afg-daily-' + new Date().toISOString().slice(0, 10),
-              renotify: false
-            });
-          }
-        })
-        .catch(() => {/* offline, skip */})
-    );
+    event.waitUntil(notifyIfNewEdition().catch(() => {/* offline, skip */}));
   }
 });
 
@@ -144,8 +231,19 @@ async function networkFirst(request) {
   try {
     const response = await fetch(request);
     if (response.ok) {
-      const cache = await caches.open(CACHE_NAME);
-      cache.put(request, response.clone());
+      const cache = await caches.open(DATA_CACHE);
+      await cache.put(request, response.clone());
+
+      // Fresh archive index — keep the newest editions offline, drop the rest
+      const pathname = new URL(request.url).pathname;
+      if (pathname.endsWith('/data/index.json')) {
+        response.clone().json().then(syncArchive).catch(() => {/* bad index, skip */});
+      }
+
+      // Fresh edition — fetch its card images now, while we're online
+      if (/\/data\/(latest(\.[a-z]+)?|editions\/[^/]+)\.json$/.test(pathname)) {
+        response.clone().json().then(prefetchCardImages).catch(() => {/* bad edition, skip */});
+      }
     }
     return response;
   } catch {
@@ -157,3 +255,35 @@ async function networkFirst(request) {
     });
   }
 }
+
+function prefetchCardImages(edition) {
+  const urls = (edition.cards || [])
+    .map((card) => card.image_url)
+    .filter((url) => typeof url === 'string' && /^https?:/.test(url));
+  return ImageCache.prefetch(urls);
+}
+
+// Cache the newest ARCHIVE_KEEP editions from the index and evict older ones
+async function syncArchive(index) {
+  const cache = await caches.open(DATA_CACHE);
+  const keep = (index.editions || [])
+    .slice(0, ARCHIVE_KEEP)
+    .flatMap((edition) => [edition.path].concat((edition.locales || []).map((locale) =>
+      edition.path.replace(/\.json$/, '.' + locale + '.json'))))
+    .map((path) => new URL('./data/' + path, self.registration.scope).href);
+
+  const cached = await cache.keys();
+  await Promise.all(cached
+    .filter((req) => req.url.includes('/data/editions/') && !keep.includes(req.url))
+    .map((req) => cache.delete(req)));
+
+  await Promise.all(keep.map(async (url) => {
+    if (await cache.match(url)) return;
+    try {
+      const response = await fetch(url);
+      if (response.ok) await cache.put(url, response);
+    } catch {
+      // Offline — try again next time the index loads
+    }
+  }));
+}